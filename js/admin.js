@@ -2,27 +2,43 @@
 
 /* ============================================================
    LEHTORE — Admin Panel
-   - Load / edit / publish photos.json via GitHub Contents API
+   - Load photos.json via the GitHub Contents API; publish every staged
+     change (edits, deletions, albums, order, settings) as one commit via
+     the Git Data API, three-way merging (js/merge.js) with remote changes
+     made since load
    - Upload new photos directly (triggers GitHub Action)
    - Delete photos (removes from JSON + deletes files from repo)
+   - Albums: create, pick covers, drag photos in from the grid
+   - Drag cards within the grid to set the gallery's curated order
+   - Shift/Ctrl-click cards to bulk edit several photos at once
 
    Auth: GitHub Personal Access Token stored in localStorage
    Required scope: public_repo (for public repos)
+   Local development: `npm run dev` serves the site with a stand-in API;
+   enter its URL as the API base in the setup form
    ============================================================ */
 
 const STORAGE_KEY = 'lehtore-admin-config';
+const API_BASE    = 'https://api.github.com';   // overridable in setup, e.g. for scripts/dev-server.js
 const CATEGORIES  = ['Architecture', 'Travel', 'Nature', 'Street', 'People', 'Other', 'Uncategorized'];
+const PHOTO_DRAG_TYPE = 'application/x-lehtore-photo';         // admin-card → grid / album drags
+const THUMB_DRAG_TYPE = 'application/x-lehtore-album-photo';   // album-thumb → same album only
 
 /* ── State ────────────────────────────────────────────────── */
 const state = {
-  config:         null,   // { owner, repo, branch, token }
+  config:         null,   // { owner, repo, branch, token, apiBase }
   photos:         [],     // current photos array
   dirty:          {},     // { [id]: modified photo object }
   pendingDeletes: [],     // [ photo objects ] to remove on publish
+  albums:         [],     // [ { slug, title, description, cover, photos: [ids] } ]
+  albumsDirty:    false,  // albums changed since last load/publish
+  orderDirty:     false,  // grid reordered since last load/publish
   sha:            null,   // photos.json SHA for GitHub API
+  base:           null,   // photos.json as loaded ({ photos, albums, … }) — merge base for publish
   selected:       null,   // currently selected photo id
-  siteConfig:     null,   // site-config.json content
-  configSha:      null,   // site-config.json SHA
+  selection:      new Set(), // ids selected for bulk edit (shift/ctrl-click)
+  siteConfig:     null,   // site-config.json content (as published)
+  configDraft:    null,   // staged site-config.json, written on publish
 };
 
 /* ── Init ─────────────────────────────────────────────────── */
@@ -45,9 +61,13 @@ document.addEventListener('DOMContentLoaded', () => {
     e.target.value = '';
   });
 
-  // Drag-and-drop on the grid
+  // Drag-and-drop on the grid (files only — card drags are for albums)
   const grid = document.getElementById('admin-grid');
-  grid?.addEventListener('dragover', e => { e.preventDefault(); grid.classList.add('drag-over'); });
+  grid?.addEventListener('dragover', e => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    grid.classList.add('drag-over');
+  });
   grid?.addEventListener('dragleave', () => grid.classList.remove('drag-over'));
   grid?.addEventListener('drop', e => {
     e.preventDefault();
@@ -67,8 +87,9 @@ document.getElementById('setup-form').addEventListener('submit', e => {
   const repo   = document.getElementById('cfg-repo').value.trim();
   const branch = document.getElementById('cfg-branch').value.trim() || 'main';
   const token  = document.getElementById('cfg-token').value.trim();
+  const apiBase = document.getElementById('cfg-api-base').value.trim().replace(/\/+$/, '') || API_BASE;
   if (!owner || !repo || !token) return;
-  state.config = { owner, repo, branch, token };
+  state.config = { owner, repo, branch, token, apiBase };
   localStorage.setItem(STORAGE_KEY, JSON.stringify(state.config));
   hideSetup();
   startAdmin();
@@ -81,9 +102,12 @@ document.getElementById('sign-out')?.addEventListener('click', () => {
 });
 
 /* ── GitHub API helpers ───────────────────────────────────── */
+function repoUrl(path) {
+  const { owner, repo, apiBase = API_BASE } = state.config;
+  return `${apiBase}/repos/${owner}/${repo}/${path}`;
+}
 function apiUrl(path) {
-  const { owner, repo } = state.config;
-  return `https://api.github.com/repos/${owner}/${repo}/contents/${path}`;
+  return repoUrl(`contents/${path}`);
 }
 function authHeaders() {
   return {
@@ -92,48 +116,71 @@ function authHeaders() {
   };
 }
 
-async function ghGetFile(path) {
-  const res = await fetch(`${apiUrl(path)}?ref=${state.config.branch}`, { headers: authHeaders() });
+async function ghRequest(method, path, body) {
+  const res = await fetch(repoUrl(path), {
+    method,
+    headers: { ...authHeaders(), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+  });
   if (!res.ok) {
     const msg = await res.json().then(d => d.message).catch(() => res.statusText);
     throw new Error(`GitHub: ${msg}`);
   }
-  const data    = await res.json();
-  const content = decodeURIComponent(escape(atob(data.content.replace(/\n/g, ''))));
-  return { content, sha: data.sha };
+  return res.json();
 }
 
-async function ghPutFile(path, content, sha, message) {
-  const b64 = btoa(unescape(encodeURIComponent(content)));
-  const body = { message, content: b64, branch: state.config.branch };
-  if (sha) body.sha = sha;
-  const res = await fetch(apiUrl(path), {
-    method: 'PUT',
-    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
+async function ghGetFile(path, ref = state.config.branch) {
+  const res = await fetch(`${apiUrl(path)}?ref=${encodeURIComponent(ref)}`, { headers: authHeaders() });
   if (!res.ok) {
     const msg = await res.json().then(d => d.message).catch(() => res.statusText);
     throw new Error(`GitHub: ${msg}`);
   }
-  return res.json();
+  const data    = await res.json();
+  const content = decodeURIComponent(escape(atob(data.content.replace(/\n/g, ''))));
+  return { content, sha: data.sha };
 }
 
-async function ghDeleteFile(path, message) {
-  // Fetch SHA first
-  let sha;
-  try {
-    const res = await fetch(`${apiUrl(path)}?ref=${state.config.branch}`, { headers: authHeaders() });
-    if (!res.ok) return; // file may not exist (e.g. external URL photo)
-    const data = await res.json();
-    sha = data.sha;
-  } catch { return; }
-
-  await fetch(apiUrl(path), {
-    method: 'DELETE',
-    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
-    body: JSON.stringify({ message, sha, branch: state.config.branch }),
+// Current tip of the configured branch: { sha, treeSha }
+async function ghHead() {
+  const branch = encodeURIComponent(state.config.branch);
+  const ref    = await ghRequest('GET', `git/ref/heads/${branch}`);
+  const commit = await ghRequest('GET', `git/commits/${ref.object.sha}`);
+  return { sha: ref.object.sha, treeSha: commit.tree.sha };
+}
+
+// Writes `files` ({ path: text }) and removes `deletions` ([path]) in a single
+// commit on top of `head`. The branch only moves if the final ref update
+// succeeds (fast-forward only), so a failure at any step — including someone
+// else pushing in the meantime — leaves the repository untouched.
+async function ghCommit({ head, files, deletions, message }) {
+  const branch = encodeURIComponent(state.config.branch);
+
+  // Only delete paths that exist — the API rejects removals of missing files
+  const existing = new Set();
+  if (deletions.length) {
+    const baseTree = await ghRequest('GET', `git/trees/${head.treeSha}?recursive=1`);
+    // A truncated listing would quietly keep whatever it left out
+    if (baseTree.truncated) throw new Error('the repository is too large to list its files — delete photos from the repository directly');
+    baseTree.tree.forEach(e => existing.add(e.path));
+  }
+  const removed = deletions.filter(path => existing.has(path));
+
+  const tree = await ghRequest('POST', 'git/trees', {
+    base_tree: head.treeSha,
+    tree: [
+      ...Object.entries(files).map(([path, content]) => ({ path, mode: '100644', type: 'blob', content })),
+      ...removed.map(path => ({ path, mode: '100644', type: 'blob', sha: null })),
+    ],
   });
+  const created = await ghRequest('POST', 'git/commits', { message, tree: tree.sha, parents: [head.sha] });
+  await ghRequest('PATCH', `git/refs/heads/${branch}`, { sha: created.sha, force: false });
+
+  return {
+    sha:     created.sha,
+    written: Object.keys(files),
+    removed,
+    blobs:   Object.fromEntries(tree.tree.filter(e => e.path in files).map(e => [e.path, e.sha])),
+  };
 }
 
 async function ghUploadBinary(path, arrayBuffer, message) {
@@ -164,10 +211,16 @@ async function startAdmin() {
   showLoading(true);
   try {
     const { content, sha } = await ghGetFile('photos.json');
+    const data           = JSON.parse(content);
     state.sha            = sha;
-    state.photos         = JSON.parse(content).photos || [];
+    state.base           = { ...data, photos: data.photos || [], albums: data.albums || [] };
+    state.photos         = sortByOrder(data.photos || []);
+    state.albums         = data.albums || [];
+    state.albumsDirty    = false;
+    state.orderDirty     = false;
     state.dirty          = {};
     state.pendingDeletes = [];
+    state.configDraft    = null;
     renderGrid();
     updatePublishBtn();
   } catch (err) {
@@ -205,6 +258,8 @@ function markForDelete(id) {
   state.photos = state.photos.filter(p => p.id !== id);
   delete state.dirty[id];
   state.selected = null;
+  state.selection.delete(id);
+  removeFromAlbums(id);
 
   renderGrid();
   // Show empty edit panel
@@ -220,50 +275,223 @@ function markForDelete(id) {
 document.getElementById('publish-btn')?.addEventListener('click', publishToGitHub);
 document.getElementById('refresh-btn')?.addEventListener('click', startAdmin);
 document.getElementById('settings-btn')?.addEventListener('click', showSettingsPanel);
+document.getElementById('albums-btn')?.addEventListener('click', () => showAlbumsPanel());
 
 async function publishToGitHub() {
   const hasEdits   = Object.keys(state.dirty).length > 0;
   const hasDeletes = state.pendingDeletes.length > 0;
-  if (!hasEdits && !hasDeletes) { showToast('No changes to publish.', ''); return; }
+  const hasAlbums  = state.albumsDirty;
+  const hasOrder   = state.orderDirty;
+  const hasConfig  = !!state.configDraft;
+  if (!hasEdits && !hasDeletes && !hasAlbums && !hasOrder && !hasConfig) {
+    showToast('No changes to publish.', '');
+    return;
+  }
 
   const btn = document.getElementById('publish-btn');
   btn.disabled = true;
   btn.textContent = 'Publishing…';
 
+  // Grid position becomes the explicit `order` used by the curated sort;
+  // edited photos are stamped with the time of this change for the feeds
+  const now   = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const local = {
+    ...state.base,
+    photos: state.photos
+      .map(p => state.dirty[p.id] ? { ...state.dirty[p.id], updated: now } : p)
+      .map((p, i) => hasOrder ? { ...p, order: i + 1 } : p),
+    albums: state.albums,
+  };
+  const files     = {};
+  let   deletions = [];
+  let   message   = publishMessage({ hasOrder, hasAlbums, hasConfig });
+
   try {
-    // 1. Delete files for removed photos (non-external URLs only)
-    for (const photo of state.pendingDeletes) {
-      const isLocal = p => p && !p.startsWith('http');
-      if (isLocal(photo.src))   await ghDeleteFile(photo.src,   `Remove ${photo.id} upload`);
-      if (isLocal(photo.thumb)) await ghDeleteFile(photo.thumb, `Remove ${photo.id} thumbnail`);
+    const head = await ghHead();
+
+    // Someone else (another browser, the processing Action) changed
+    // photos.json since we loaded it: merge their changes with ours
+    let result = local;
+    const remoteFile = await ghGetFile('photos.json', head.sha);
+    if (remoteFile.sha !== state.sha) {
+      const remote = JSON.parse(remoteFile.content);
+      const photos = LehtoreMerge.threeWayMerge(state.base.photos, local.photos, remote.photos || [], 'id');
+      const albums = LehtoreMerge.threeWayMerge(state.base.albums, local.albums, remote.albums || [], 'slug');
+      const conflicts = [
+        ...photos.conflicts.map(c => ({ ...c, kind: 'Photo' })),
+        ...albums.conflicts.map(c => ({ ...c, kind: 'Album' })),
+      ];
+      const choices = conflicts.length ? await showConflictModal(conflicts) : [];
+      if (!choices) {
+        showToast('Publish cancelled — nothing was changed.', '');
+        return;
+      }
+      result = {
+        ...remote,
+        photos: LehtoreMerge.applyResolutions(photos, choices.slice(0, photos.conflicts.length)),
+        albums: LehtoreMerge.applyResolutions(albums, choices.slice(photos.conflicts.length)),
+      };
+      message += `\n\nMerged with remote changes to photos.json${conflicts.length ? ` (${conflicts.length} conflict(s) resolved)` : ''}.`;
     }
 
-    // 2. Merge edits and save photos.json
-    if (hasEdits || hasDeletes) {
-      const merged = state.photos.map(p => state.dirty[p.id] ?? p);
-      const json   = JSON.stringify({ photos: merged }, null, 2);
-
-      // Re-fetch SHA in case it changed during file deletions
-      const { sha } = await ghGetFile('photos.json');
-      const result  = await ghPutFile('photos.json', json, sha, 'Update photo metadata via admin panel');
+    if (hasEdits || hasDeletes || hasAlbums || hasOrder) {
+      files['photos.json'] = JSON.stringify(result, null, 2) + '\n';
+    }
+    if (hasConfig) {
+      files['site-config.json'] = JSON.stringify(state.configDraft, null, 2) + '\n';
+    }
 
-      state.sha            = result.content.sha;
-      state.photos         = merged;
-      state.dirty          = {};
-      state.pendingDeletes = [];
+    // Files of removed photos (non-external URLs only) — unless the merge kept them
+    const kept    = new Set(result.photos.map(p => p.id));
+    const isLocal = p => p && !p.startsWith('http');
+    deletions = state.pendingDeletes
+      .filter(photo => !kept.has(photo.id))
+      .flatMap(photo => [photo.original, photo.src, photo.thumb,
+        ...Object.values(photo.derivatives || {}).flat().map(d => d.src)])
+      .filter(isLocal);
+
+    const problems = await validateForPublish(files, head);
+    if (problems.length) {
+      const more = problems.length > 5 ? ` (+${problems.length - 5} more)` : '';
+      throw new Error(`invalid data — ${problems.slice(0, 5).join('; ')}${more}`);
     }
 
+    const commit = await ghCommit({ head, files, deletions, message });
+
+    if (commit.blobs['photos.json']) state.sha = commit.blobs['photos.json'];
+    if (hasConfig) state.siteConfig = state.configDraft;
+    state.base           = JSON.parse(JSON.stringify(result));
+    state.photos         = sortByOrder(result.photos);
+    state.albums         = result.albums;
+    state.dirty          = {};
+    state.pendingDeletes = [];
+    state.albumsDirty    = false;
+    state.orderDirty     = false;
+    state.configDraft    = null;
+
     renderGrid();
     updatePublishBtn();
+    renderPublishReport({ ok: true, sha: commit.sha, message, written: commit.written, removed: commit.removed });
     showToast('Published! Site updates in ~1 minute.', 'success');
   } catch (err) {
-    showToast('Publish failed: ' + err.message, 'error');
+    renderPublishReport({ ok: false, error: err.message, message, written: Object.keys(files), removed: deletions });
+    showToast('Publish failed — nothing was changed: ' + err.message, 'error');
   } finally {
     btn.disabled = false;
     btn.textContent = 'Publish to GitHub';
   }
 }
 
+// Same checks CI runs (scripts/validate.js), against the schemas on the branch.
+// File references aren't checked here — only the processor writes paths.
+async function validateForPublish(files, head) {
+  const schema   = async name => JSON.parse((await ghGetFile(`schemas/${name}`, head.sha)).content);
+  const problems = [];
+  if (files['photos.json']) {
+    problems.push(...LehtoreSchema.validatePhotos(JSON.parse(files['photos.json']), await schema('photos.schema.json'))
+      .map(e => `photos.json ${e}`));
+  }
+  if (files['site-config.json']) {
+    problems.push(...LehtoreSchema.validateSiteConfig(JSON.parse(files['site-config.json']), await schema('site-config.schema.json'))
+      .map(e => `site-config.json ${e}`));
+  }
+  return problems;
+}
+
+// "Admin: edit 2 photos, delete 1 photo, …" plus one line per affected photo
+function publishMessage({ hasOrder, hasAlbums, hasConfig }) {
+  const plural  = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const edited  = Object.keys(state.dirty);
+  const deleted = state.pendingDeletes.map(p => p.id);
+  const parts   = [];
+  if (edited.length)  parts.push(`edit ${plural(edited.length, 'photo')}`);
+  if (deleted.length) parts.push(`delete ${plural(deleted.length, 'photo')}`);
+  if (hasOrder)       parts.push('reorder gallery');
+  if (hasAlbums)      parts.push('update albums');
+  if (hasConfig)      parts.push('update site settings');
+
+  const details = [
+    ...edited.map(id => `- edit ${id}`),
+    ...deleted.map(id => `- delete ${id}`),
+  ];
+  return `Admin: ${parts.join(', ')}${details.length ? `\n\n${details.join('\n')}` : ''}`;
+}
+
+function renderPublishReport({ ok, sha, error, message, written, removed }) {
+  const panel = document.getElementById('edit-panel');
+  const rows  = [
+    ...written.map(path => `<li><span class="publish-op">M</span>${esc(path)}</li>`),
+    ...removed.map(path => `<li><span class="publish-op removed">D</span>${esc(path)}</li>`),
+  ];
+  panel.innerHTML = `
+<div>
+  <div class="edit-section-title">${ok ? 'Published' : 'Publish Failed'}</div>
+  <p style="font-size:13px;color:${ok ? 'var(--text-dim)' : '#e05555'};margin-bottom:8px;">
+    ${ok
+      ? `Commit <code>${esc(sha.slice(0, 7))}</code> — ${esc(message.split('\n')[0])}`
+      : `${esc(error)}<br>Nothing was changed in the repository.`}
+  </p>
+  <p class="form-hint" style="margin-bottom:10px;">${ok ? 'Affected paths' : 'Paths that would have been affected'}:</p>
+  <ul class="publish-paths">${rows.join('') || '<li>None</li>'}</ul>
+</div>`;
+}
+
+/* ── Conflicts ────────────────────────────────────────────── */
+// Resolves with one 'mine' | 'theirs' per conflict, or null if cancelled
+function showConflictModal(conflicts) {
+  const FIELD_LABELS = { '(deleted)': 'deleted on one side', '(added)': 'added on both sides' };
+  const fmt = v => v === undefined || v === null ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+  const describe = (c, side) => c.field === '(deleted)'
+    ? (c[side] ? 'Keep (edited)' : 'Delete')
+    : fmt(c[side]);
+
+  const modal = document.createElement('div');
+  modal.className = 'modal-backdrop';
+  modal.innerHTML = `
+<div class="modal modal-wide">
+  <h2 class="modal-title">Resolve Conflicts</h2>
+  <p class="modal-subtitle">
+    photos.json changed on GitHub since you loaded it. Other changes were merged
+    automatically; these were edited on both sides. Choose which version to keep.
+  </p>
+  <div class="conflict-list">
+    ${conflicts.map((c, i) => `
+    <div class="conflict">
+      <div class="conflict-head">${c.kind} <code>${esc(c.id)}</code> · ${esc(FIELD_LABELS[c.field] || c.field)}</div>
+      <label class="conflict-option">
+        <input type="radio" name="conflict-${i}" value="mine" checked>
+        <span class="conflict-side">Mine</span><span class="conflict-value">${esc(describe(c, 'mine'))}</span>
+      </label>
+      <label class="conflict-option">
+        <input type="radio" name="conflict-${i}" value="theirs">
+        <span class="conflict-side">Theirs</span><span class="conflict-value">${esc(describe(c, 'theirs'))}</span>
+      </label>
+    </div>`).join('')}
+  </div>
+  <div style="display:flex;gap:8px;margin-top:24px;">
+    <button class="btn btn-ghost" type="button" data-all="theirs">Use all theirs</button>
+    <button class="btn btn-secondary" type="button" data-action="cancel" style="margin-left:auto;">Cancel</button>
+    <button class="btn btn-primary" type="button" data-action="publish">Publish</button>
+  </div>
+</div>`;
+  document.body.appendChild(modal);
+
+  return new Promise(resolve => {
+    modal.addEventListener('click', e => {
+      if (e.target.closest('[data-all]')) {
+        modal.querySelectorAll('input[value="theirs"]').forEach(r => { r.checked = true; });
+        return;
+      }
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (!action) return;
+      const choices = conflicts.map((_, i) =>
+        modal.querySelector(`input[name="conflict-${i}"]:checked`)?.value || 'mine');
+      modal.remove();
+      resolve(action === 'publish' ? choices : null);
+    });
+  });
+}
+
 /* ── Grid ─────────────────────────────────────────────────── */
 function renderGrid() {
   const grid = document.getElementById('admin-grid');
@@ -281,28 +509,97 @@ function renderGrid() {
     const title   = photo.title || photo.id;
     const isDirty = !!state.dirty[photo.id];
     return `
-<div class="admin-card${state.selected === photo.id ? ' selected' : ''}" data-id="${photo.id}" title="${esc(title)}">
-  <img src="${esc(thumb)}" alt="${esc(title)}" loading="lazy">
+<div class="admin-card${state.selection.has(photo.id) ? ' selected' : ''}" data-id="${photo.id}" title="${esc(title)}" draggable="true">
+  <img src="${esc(thumb)}" alt="${esc(title)}" loading="lazy" draggable="false">
   <div class="admin-card-title">${esc(title)}</div>
   <div class="admin-card-status${isDirty ? ' dirty' : ''}" id="status-${photo.id}"></div>
 </div>`;
   }).join('');
 
   grid.querySelectorAll('.admin-card').forEach(card => {
-    card.addEventListener('click', () => selectPhoto(card.dataset.id));
+    card.addEventListener('click', e => handleCardClick(card.dataset.id, e));
+    card.addEventListener('dragstart', e => {
+      e.dataTransfer.setData(PHOTO_DRAG_TYPE, card.dataset.id);
+      e.dataTransfer.effectAllowed = 'copyMove';
+      card.classList.add('dragging');
+    });
+    card.addEventListener('dragend', () => card.classList.remove('dragging'));
+
+    // Dropping a card onto another moves it into that position
+    card.addEventListener('dragover', e => {
+      if (!e.dataTransfer.types.includes(PHOTO_DRAG_TYPE)) return;
+      e.preventDefault();
+      card.classList.add('drop-before');
+    });
+    card.addEventListener('dragleave', () => card.classList.remove('drop-before'));
+    card.addEventListener('drop', e => {
+      const id = e.dataTransfer.getData(PHOTO_DRAG_TYPE);
+      card.classList.remove('drop-before');
+      if (!id || id === card.dataset.id) return;
+      e.preventDefault();
+      movePhoto(id, card.dataset.id);
+    });
   });
 
-  if (state.selected && state.photos.find(p => p.id === state.selected)) {
+  if (state.selection.size > 1) {
+    renderBulkPanel();
+  } else if (state.selected && state.photos.find(p => p.id === state.selected)) {
     selectPhoto(state.selected);
   }
 }
 
+function movePhoto(id, beforeId) {
+  const photo = state.photos.find(p => p.id === id);
+  if (!photo) return;
+  const rest = state.photos.filter(p => p.id !== id);
+  const at   = rest.findIndex(p => p.id === beforeId);
+  rest.splice(at === -1 ? rest.length : at, 0, photo);
+  state.photos     = rest;
+  state.orderDirty = true;
+  renderGrid();
+  updatePublishBtn();
+}
+
 function selectPhoto(id) {
-  state.selected = id;
+  state.selected  = id;
+  state.selection = new Set([id]);
+  markSelection();
+  renderEditPanel(id);
+}
+
+// Shift extends a range from the last clicked card, Ctrl/Cmd toggles one card
+function handleCardClick(id, e) {
+  if (e.shiftKey && state.selected) {
+    const ids  = state.photos.map(p => p.id);
+    const from = ids.indexOf(state.selected);
+    const to   = ids.indexOf(id);
+    if (from === -1 || to === -1) return selectPhoto(id);
+    const range = ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+    state.selection = new Set([...(e.ctrlKey || e.metaKey ? state.selection : []), ...range]);
+  } else if (e.ctrlKey || e.metaKey) {
+    if (state.selection.has(id)) state.selection.delete(id);
+    else state.selection.add(id);
+    state.selected = id;
+  } else {
+    return selectPhoto(id);
+  }
+
+  markSelection();
+  if (state.selection.size > 1) {
+    renderBulkPanel();
+  } else if (state.selection.size === 1) {
+    selectPhoto([...state.selection][0]);
+  } else {
+    state.selected = null;
+    document.getElementById('edit-panel').innerHTML =
+      `<div class="edit-panel-empty"><p style="font-size:13px;color:var(--text-faint);">Select a photo to edit</p></div>`;
+  }
+}
+
+function markSelection() {
   document.querySelectorAll('.admin-card').forEach(c =>
-    c.classList.toggle('selected', c.dataset.id === id)
+    c.classList.toggle('selected', state.selection.has(c.dataset.id))
   );
-  renderEditPanel(id);
 }
 
 /* ── Edit Panel ───────────────────────────────────────────── */
@@ -326,6 +623,14 @@ function renderEditPanel(id) {
     <label class="form-label" for="ef-location">Location</label>
     <input class="form-input" id="ef-location" type="text" value="${esc(photo.location || '')}" placeholder="City, Country">
   </div>
+  <div class="form-group">
+    <label class="form-label" for="ef-coords">Map Coordinates</label>
+    <div style="display:flex;gap:6px;">
+      <input class="form-input" id="ef-coords" type="text" value="${esc(coordsText(photo.coords))}" placeholder="41.88, -87.63" style="flex:1">
+      <button class="btn btn-secondary" id="ef-coords-lookup" type="button">Look up</button>
+    </div>
+    <p class="form-hint" id="ef-coords-hint">${esc(coordsHint(photo.coords))}</p>
+  </div>
   <div class="form-group">
     <label class="form-label" for="ef-date">Date</label>
     <input class="form-input" id="ef-date" type="date" value="${photo.date || ''}">
@@ -356,6 +661,40 @@ function renderEditPanel(id) {
   </div>
 </div>
 
+<div>
+  <div class="edit-section-title">Camera &amp; Exposure</div>
+  <div class="form-group">
+    <label class="form-label" for="ef-camera">Camera</label>
+    <input class="form-input" id="ef-camera" type="text" value="${esc(photo.camera || '')}" placeholder="Hasselblad X2D II">
+  </div>
+  <div class="form-group">
+    <label class="form-label" for="ef-lens">Lens</label>
+    <input class="form-input" id="ef-lens" type="text" value="${esc(photo.lens || '')}" placeholder="XCD 38V">
+  </div>
+  <div class="form-row">
+    <div class="form-group">
+      <label class="form-label" for="ef-aperture">Aperture (f/)</label>
+      <input class="form-input" id="ef-aperture" type="number" min="0" step="0.1" value="${photo.aperture ?? ''}" placeholder="8">
+    </div>
+    <div class="form-group">
+      <label class="form-label" for="ef-shutter">Shutter (s)</label>
+      <input class="form-input" id="ef-shutter" type="text" value="${esc(photo.shutterSpeed || '')}" placeholder="1/250">
+    </div>
+    <div class="form-group">
+      <label class="form-label" for="ef-iso">ISO</label>
+      <input class="form-input" id="ef-iso" type="number" min="0" step="1" value="${photo.iso ?? ''}" placeholder="64">
+    </div>
+    <div class="form-group">
+      <label class="form-label" for="ef-focal">Focal (mm)</label>
+      <input class="form-input" id="ef-focal" type="number" min="0" step="0.1" value="${photo.focalLength ?? ''}" placeholder="38">
+    </div>
+    <div class="form-group">
+      <label class="form-label" for="ef-focal35">35mm Equiv. (mm)</label>
+      <input class="form-input" id="ef-focal35" type="number" min="0" step="1" value="${photo.focalLength35 ?? ''}" placeholder="30">
+    </div>
+  </div>
+</div>
+
 <div>
   <div class="edit-section-title">Options</div>
   <div class="toggle-row">
@@ -376,14 +715,23 @@ function renderEditPanel(id) {
   // Auto-save: stage changes immediately as the user types
   function autoSave() {
     const val = sel => document.getElementById(sel)?.value ?? '';
+    const num = sel => val(sel).trim() === '' ? null : Number(val(sel));
     applyDraft({
-      title:       val('ef-title'),
-      location:    val('ef-location'),
-      date:        val('ef-date'),
-      description: val('ef-desc'),
-      category:    val('ef-category'),
-      featured:    document.getElementById('ef-featured')?.checked ?? false,
+      title:         val('ef-title'),
+      location:      val('ef-location'),
+      date:          val('ef-date'),
+      description:   val('ef-desc'),
+      category:      val('ef-category'),
+      camera:        val('ef-camera').trim(),
+      lens:          val('ef-lens').trim(),
+      aperture:      num('ef-aperture'),
+      shutterSpeed:  val('ef-shutter').trim(),
+      iso:           num('ef-iso'),
+      focalLength:   num('ef-focal'),
+      focalLength35: num('ef-focal35'),
+      featured:      document.getElementById('ef-featured')?.checked ?? false,
     });
+    stageCoords(id);
     const cardTitle = document.querySelector(`.admin-card[data-id="${id}"] .admin-card-title`);
     const newTitle  = document.getElementById('ef-title')?.value || id;
     if (cardTitle) cardTitle.textContent = newTitle;
@@ -391,10 +739,12 @@ function renderEditPanel(id) {
     updatePublishBtn();
   }
 
-  ['ef-title', 'ef-location', 'ef-date', 'ef-desc', 'ef-category'].forEach(fid => {
+  ['ef-title', 'ef-location', 'ef-coords', 'ef-date', 'ef-desc', 'ef-category',
+   'ef-camera', 'ef-lens', 'ef-aperture', 'ef-shutter', 'ef-iso', 'ef-focal', 'ef-focal35'].forEach(fid => {
     document.getElementById(fid)?.addEventListener('input', autoSave);
   });
   document.getElementById('ef-featured')?.addEventListener('change', autoSave);
+  document.getElementById('ef-coords-lookup').addEventListener('click', () => lookUpCoords(id, autoSave));
 
   const tagInput = document.getElementById('ef-tag-input');
   document.getElementById('ef-tag-add').addEventListener('click', () => addTag(tagInput.value));
@@ -412,6 +762,72 @@ function renderEditPanel(id) {
   document.getElementById('ef-delete').addEventListener('click', () => markForDelete(id));
 }
 
+/* ── Map Coordinates ──────────────────────────────────────── */
+// "41.88, -87.63" ⇄ { lat, lon }; process-photos.js fills these in from the
+// location (marking them `from`) unless they were typed here
+let gazetteer = null;
+
+function coordsText(coords) {
+  return coords ? `${coords.lat}, ${coords.lon}` : '';
+}
+
+function coordsHint(coords) {
+  if (!coords)     return 'Not on the map. Leave blank to place it from the location on the next build.';
+  if (coords.from) return `From “${coords.from}” — updated when the location changes.`;
+  return 'Set by hand — kept as is.';
+}
+
+// Stages the coords field: blank clears, unchanged text keeps the current
+// coords (and their `from`), a new "lat, lon" is a manual placement
+function stageCoords(id) {
+  const input = document.getElementById('ef-coords');
+  const hint  = document.getElementById('ef-coords-hint');
+  if (!input) return;
+  const current = getPhoto(id).coords || null;
+  const text    = input.value.trim();
+  if (text === coordsText(current)) return;
+
+  const parts = text.split(/[\s,]+/).map(Number);
+  const [lat, lon] = parts;
+  const valid = parts.length === 2 && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  if (text && !valid) {
+    if (hint) hint.textContent = 'Enter as “latitude, longitude”, e.g. 41.88, -87.63.';
+    return;
+  }
+  const { roundCoord } = globalThis.LehtoreGeo;
+  const coords = text ? { lat: roundCoord(lat), lon: roundCoord(lon) } : null;
+  applyDraft({ coords });
+  if (hint) hint.textContent = coordsHint(coords);
+}
+
+// Fills the coords field from the location via data/gazetteer.json, marked
+// `from` it as if the build had done it
+async function lookUpCoords(id, onChange) {
+  const location = document.getElementById('ef-location')?.value.trim();
+  if (!location) return showToast('Enter a location first.', '');
+  try {
+    if (!gazetteer) {
+      const res = await fetch('data/gazetteer.json');
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      gazetteer = globalThis.LehtoreGeo.createGazetteer(await res.json());
+    }
+  } catch (err) {
+    return showToast('Failed to load the gazetteer: ' + err.message, 'error');
+  }
+  const place = gazetteer.lookup(location);
+  if (!place) return showToast(`“${location}” isn't in the gazetteer — enter coordinates by hand.`, 'error');
+
+  const input = document.getElementById('ef-coords');
+  const hint  = document.getElementById('ef-coords-hint');
+  if (!input || state.selected !== id) return;
+  const coords = { lat: place.lat, lon: place.lon, from: location };
+  applyDraft({ coords });
+  input.value = coordsText(coords);
+  if (hint) hint.textContent = coordsHint(coords);
+  onChange();
+  showToast(`Placed at ${place.name}, ${place.country}.`, 'success');
+}
+
 function tagChipHTML(tag) {
   return `<span class="tag-chip">${esc(tag)}<span class="tag-chip-remove" data-tag="${esc(tag)}" title="Remove">&times;</span></span>`;
 }
@@ -436,21 +852,346 @@ function removeTag(tag) {
   if (chips) chips.innerHTML = tags.map(tagChipHTML).join('');
 }
 
+/* ── Bulk Edit ────────────────────────────────────────────── */
+// Blank fields are left alone; only what the user sets is applied to every
+// selected photo, staged into state.dirty exactly like a single edit.
+function renderBulkPanel() {
+  const ids    = [...state.selection];
+  const photos = ids.map(getPhoto).filter(Boolean);
+  const tags   = [...new Set(photos.flatMap(p => p.tags || []))].sort();
+  const location = sharedValue(photos, 'location');
+
+  const panel = document.getElementById('edit-panel');
+  panel.innerHTML = `
+<div>
+  <div class="edit-section-title">Bulk Edit &middot; ${photos.length} photos</div>
+  <div class="bulk-thumbs">
+    ${photos.map(p => `<img src="${esc(p.thumb || p.src || '')}" alt="" title="${esc(p.title || p.id)}">`).join('')}
+  </div>
+  <p class="form-hint" style="margin:8px 0 0;">Fields left blank keep each photo's current value.</p>
+</div>
+
+<div>
+  <div class="edit-section-title">Basic Info</div>
+  <div class="form-group">
+    <label class="form-label" for="bf-location">Location</label>
+    <input class="form-input" id="bf-location" type="text" placeholder="${esc(location === undefined ? 'Mixed' : location || 'City, Country')}">
+  </div>
+  <div class="form-group">
+    <label class="form-label" for="bf-date">Date</label>
+    <input class="form-input" id="bf-date" type="date">
+  </div>
+</div>
+
+<div>
+  <div class="edit-section-title">Classification</div>
+  <div class="form-group">
+    <label class="form-label" for="bf-category">Category</label>
+    <select class="form-select" id="bf-category">
+      <option value="">&mdash; keep &mdash;</option>
+      ${CATEGORIES.map(c => `<option value="${c}">${c}</option>`).join('')}
+    </select>
+  </div>
+  <div class="form-group">
+    <label class="form-label">Tags</label>
+    <div class="tag-chips" id="bf-tag-chips">
+      ${tags.map(tagChipHTML).join('') || '<span style="font-size:12px;color:var(--text-faint);">No tags</span>'}
+    </div>
+    <input class="form-input" id="bf-tag-input" type="text" placeholder="Add tags, comma separated…" style="margin-top:6px;">
+    <p class="form-hint">Removing a tag here removes it from every selected photo.</p>
+  </div>
+</div>
+
+<div>
+  <div class="edit-section-title">Options</div>
+  <div class="form-group">
+    <label class="form-label" for="bf-featured">Featured</label>
+    <select class="form-select" id="bf-featured">
+      <option value="">&mdash; keep &mdash;</option>
+      <option value="yes">Featured</option>
+      <option value="no">Not featured</option>
+    </select>
+  </div>
+</div>
+
+<div style="display:flex;gap:8px;padding-top:8px;flex-wrap:wrap;">
+  <button class="btn btn-primary" id="bf-apply">Apply to ${photos.length} Photos</button>
+  <button class="btn btn-secondary" id="bf-clear">Clear Selection</button>
+</div>
+`;
+
+  const removed = new Set();
+  document.getElementById('bf-tag-chips').addEventListener('click', e => {
+    const rm = e.target.closest('.tag-chip-remove');
+    if (!rm) return;
+    removed.add(rm.dataset.tag);
+    rm.closest('.tag-chip').remove();
+  });
+
+  document.getElementById('bf-apply').addEventListener('click', () => {
+    const val   = sel => document.getElementById(sel)?.value.trim() ?? '';
+    const added = val('bf-tag-input').split(',')
+      .map(t => t.trim().toLowerCase().replace(/\s+/g, '-')).filter(Boolean);
+    const partial = {};
+    if (val('bf-location')) partial.location = val('bf-location');
+    if (val('bf-date'))     partial.date     = val('bf-date');
+    if (val('bf-category')) partial.category = val('bf-category');
+    if (val('bf-featured')) partial.featured = val('bf-featured') === 'yes';
+
+    if (!Object.keys(partial).length && !added.length && !removed.size) {
+      showToast('Nothing to apply.', '');
+      return;
+    }
+    ids.forEach(id => {
+      const photo = getPhoto(id);
+      if (!photo) return;
+      const tags = (photo.tags || []).filter(t => !removed.has(t));
+      applyDraftTo(id, { ...partial, tags: [...new Set([...tags, ...added])] });
+      markCard(id, true);
+    });
+    updatePublishBtn();
+    renderBulkPanel();
+    showToast(`Changes staged for ${ids.length} photos.`, 'success');
+  });
+
+  document.getElementById('bf-clear').addEventListener('click', () => {
+    state.selection.clear();
+    state.selected = null;
+    markSelection();
+    panel.innerHTML = `<div class="edit-panel-empty"><p style="font-size:13px;color:var(--text-faint);">Select a photo to edit</p></div>`;
+  });
+}
+
+// The value every photo shares for `key`, or undefined when they differ
+function sharedValue(photos, key) {
+  const values = new Set(photos.map(p => p[key] || ''));
+  return values.size === 1 ? [...values][0] : undefined;
+}
+
+/* ── Albums ───────────────────────────────────────────────── */
+function showAlbumsPanel() {
+  state.selected = null;
+  state.selection.clear();
+  document.querySelectorAll('.admin-card').forEach(c => c.classList.remove('selected'));
+
+  const panel = document.getElementById('edit-panel');
+  panel.innerHTML = `
+<div>
+  <div class="edit-section-title">Albums</div>
+  <p class="form-hint" style="margin:0 0 12px;">Drag photos from the grid onto an album to add them.</p>
+  <div class="album-list" id="album-list">
+    ${state.albums.map(albumRowHTML).join('') ||
+      '<p style="font-size:12px;color:var(--text-faint);">No albums yet.</p>'}
+  </div>
+</div>
+
+<div>
+  <div class="edit-section-title">New Album</div>
+  <div style="display:flex;gap:6px;">
+    <input class="form-input" id="album-new-title" type="text" placeholder="Album title…" style="flex:1">
+    <button class="btn btn-secondary" id="album-new-btn" type="button">Create</button>
+  </div>
+</div>
+`;
+
+  const list = document.getElementById('album-list');
+  list.addEventListener('click', e => {
+    const row = e.target.closest('.album-row');
+    if (row) renderAlbumEditor(row.dataset.slug);
+  });
+  list.querySelectorAll('.album-row').forEach(row => {
+    acceptPhotoDrops(row, [PHOTO_DRAG_TYPE], id => {
+      addToAlbum(row.dataset.slug, id);
+      showAlbumsPanel();
+    });
+  });
+
+  const titleInput = document.getElementById('album-new-title');
+  const create = () => {
+    const slug = createAlbum(titleInput.value);
+    if (slug) renderAlbumEditor(slug);
+  };
+  document.getElementById('album-new-btn').addEventListener('click', create);
+  titleInput.addEventListener('keydown', e => { if (e.key === 'Enter') { e.preventDefault(); create(); } });
+}
+
+function albumRowHTML(album) {
+  const cover = getPhoto(album.cover) || getPhoto(album.photos[0]);
+  const count = album.photos.length;
+  return `
+<div class="album-row" data-slug="${esc(album.slug)}">
+  ${cover ? `<img src="${esc(cover.thumb || cover.src || '')}" alt="" draggable="false">` : '<div class="album-row-blank"></div>'}
+  <div>
+    <div class="album-row-title">${esc(album.title || album.slug)}</div>
+    <div class="album-row-count">${count} photo${count === 1 ? '' : 's'}</div>
+  </div>
+</div>`;
+}
+
+function renderAlbumEditor(slug) {
+  const album = getAlbum(slug);
+  if (!album) { showAlbumsPanel(); return; }
+
+  const panel = document.getElementById('edit-panel');
+  panel.innerHTML = `
+<div>
+  <button class="btn btn-ghost" id="album-back" type="button" style="padding-left:0;">&#8592; All albums</button>
+</div>
+
+<div>
+  <div class="edit-section-title">Album</div>
+  <div class="form-group">
+    <label class="form-label" for="af-title">Title</label>
+    <input class="form-input" id="af-title" type="text" value="${esc(album.title || '')}">
+    <p class="form-hint">Gallery link: <code>#/album/${esc(album.slug)}</code></p>
+  </div>
+  <div class="form-group">
+    <label class="form-label" for="af-desc">Description</label>
+    <textarea class="form-textarea" id="af-desc" placeholder="Optional…">${esc(album.description || '')}</textarea>
+  </div>
+</div>
+
+<div>
+  <div class="edit-section-title">Photos</div>
+  <p class="form-hint" style="margin:0 0 10px;">Click a photo to make it the cover. Drag to reorder, or drag in from the grid.</p>
+  <div class="album-photos" id="album-photos">
+    ${album.photos.map((id, i) => {
+      const photo = getPhoto(id);
+      if (!photo) return '';
+      return `
+<div class="album-thumb${id === album.cover ? ' cover' : ''}" data-id="${esc(id)}" data-index="${i}" draggable="true" title="${esc(photo.title || id)}">
+  <img src="${esc(photo.thumb || photo.src || '')}" alt="" draggable="false">
+  <span class="album-thumb-remove" data-id="${esc(id)}" title="Remove from album">&times;</span>
+</div>`;
+    }).join('') || '<p style="font-size:12px;color:var(--text-faint);">Drag photos here from the grid.</p>'}
+  </div>
+</div>
+
+<div style="display:flex;gap:8px;padding-top:8px;">
+  <button class="btn btn-danger" id="album-delete" style="margin-left:auto;">Delete Album</button>
+</div>
+`;
+
+  document.getElementById('album-back').addEventListener('click', () => showAlbumsPanel());
+  document.getElementById('af-title').addEventListener('input', e => updateAlbum(slug, { title: e.target.value }));
+  document.getElementById('af-desc').addEventListener('input', e => updateAlbum(slug, { description: e.target.value }));
+
+  const photosEl = document.getElementById('album-photos');
+  photosEl.addEventListener('click', e => {
+    const rm = e.target.closest('.album-thumb-remove');
+    if (rm) {
+      const a = getAlbum(slug);
+      updateAlbum(slug, {
+        photos: a.photos.filter(id => id !== rm.dataset.id),
+        cover:  a.cover === rm.dataset.id ? null : a.cover,
+      });
+      renderAlbumEditor(slug);
+      return;
+    }
+    const thumb = e.target.closest('.album-thumb');
+    if (thumb) {
+      updateAlbum(slug, { cover: thumb.dataset.id });
+      photosEl.querySelectorAll('.album-thumb').forEach(t => t.classList.toggle('cover', t === thumb));
+    }
+  });
+
+  // Reorder within the album, or insert photos dragged from the grid
+  photosEl.querySelectorAll('.album-thumb').forEach(thumb => {
+    thumb.addEventListener('dragstart', e => e.dataTransfer.setData(THUMB_DRAG_TYPE, thumb.dataset.id));
+  });
+  acceptPhotoDrops(photosEl, [PHOTO_DRAG_TYPE, THUMB_DRAG_TYPE], (id, e) => {
+    const target = e.target.closest('.album-thumb');
+    const ids    = getAlbum(slug).photos.filter(p => p !== id);
+    const at     = target && target.dataset.id !== id ? ids.indexOf(target.dataset.id) : ids.length;
+    ids.splice(at, 0, id);
+    updateAlbum(slug, { photos: ids });
+    renderAlbumEditor(slug);
+  });
+
+  document.getElementById('album-delete').addEventListener('click', () => {
+    if (!confirm(`Delete the album "${album.title || slug}"?\n\nThe photos themselves are kept.`)) return;
+    state.albums = state.albums.filter(a => a.slug !== slug);
+    markAlbumsDirty();
+    showAlbumsPanel();
+  });
+}
+
+// Makes `el` a drop target for drags of the given types (see *_DRAG_TYPE)
+function acceptPhotoDrops(el, types, onDrop) {
+  const dragType = dataTransfer => types.find(type => dataTransfer.types.includes(type));
+  el.addEventListener('dragover', e => {
+    if (!dragType(e.dataTransfer)) return;
+    e.preventDefault();
+    el.classList.add('drop-target');
+  });
+  el.addEventListener('dragleave', e => {
+    if (!el.contains(e.relatedTarget)) el.classList.remove('drop-target');
+  });
+  el.addEventListener('drop', e => {
+    const type = dragType(e.dataTransfer);
+    const id   = type && e.dataTransfer.getData(type);
+    if (!id) return;
+    e.preventDefault();
+    el.classList.remove('drop-target');
+    onDrop(id, e);
+  });
+}
+
+function getAlbum(slug) {
+  return state.albums.find(a => a.slug === slug) || null;
+}
+
+function createAlbum(rawTitle) {
+  const title = rawTitle.trim();
+  if (!title) return null;
+  const base = slugify(title) || 'album';
+  let slug = base;
+  for (let n = 2; getAlbum(slug); n++) slug = `${base}-${n}`;
+  state.albums.push({ slug, title, description: '', cover: null, photos: [] });
+  markAlbumsDirty();
+  return slug;
+}
+
+function updateAlbum(slug, partial) {
+  state.albums = state.albums.map(a => a.slug === slug ? { ...a, ...partial } : a);
+  markAlbumsDirty();
+}
+
+function addToAlbum(slug, id) {
+  const album = getAlbum(slug);
+  if (!album || album.photos.includes(id)) return;
+  updateAlbum(slug, { photos: [...album.photos, id], cover: album.cover || id });
+  showToast(`Added to "${album.title || slug}".`, 'success');
+}
+
+function removeFromAlbums(id) {
+  if (!state.albums.some(a => a.photos.includes(id))) return;
+  state.albums = state.albums.map(a => ({
+    ...a,
+    photos: a.photos.filter(p => p !== id),
+    cover:  a.cover === id ? null : a.cover,
+  }));
+  state.albumsDirty = true;
+}
+
+function markAlbumsDirty() {
+  state.albumsDirty = true;
+  updatePublishBtn();
+}
+
 /* ── Site Settings ────────────────────────────────────────── */
 async function showSettingsPanel() {
   // Load current config from GitHub if not yet loaded
   if (!state.siteConfig) {
     try {
-      const { content, sha } = await ghGetFile('site-config.json');
+      const { content } = await ghGetFile('site-config.json');
       state.siteConfig = JSON.parse(content);
-      state.configSha  = sha;
     } catch {
       state.siteConfig = { siteName: 'LEHTORE', heroEyebrow: 'Photography', heroTagline: [], showHeroTagline: false, showScrollIndicator: false };
-      state.configSha  = null;
     }
   }
 
-  const cfg = state.siteConfig;
+  const cfg = state.configDraft || state.siteConfig;
   const panel = document.getElementById('edit-panel');
 
   panel.innerHTML = `
@@ -468,6 +1209,12 @@ async function showSettingsPanel() {
     <p class="form-hint">Small label that appears above the site name on the landing page.</p>
   </div>
 
+  <div class="form-group">
+    <label class="form-label" for="cfg-siteurl">Site URL</label>
+    <input class="form-input" id="cfg-siteurl" type="url" value="${esc(cfg.siteUrl || '')}" placeholder="https://lehtore.com">
+    <p class="form-hint">Public address of the site, used for share-page links and social previews.</p>
+  </div>
+
   <div class="toggle-row">
     <span class="toggle-label">Show Tagline</span>
     <label class="toggle-switch">
@@ -492,7 +1239,7 @@ async function showSettingsPanel() {
 </div>
 
 <div style="display:flex;gap:8px;padding-top:8px;">
-  <button class="btn btn-primary" id="cfg-save-btn">Save &amp; Publish</button>
+  <button class="btn btn-primary" id="cfg-save-btn">Stage Changes</button>
   <button class="btn btn-secondary" id="cfg-cancel-btn">Cancel</button>
 </div>
 `;
@@ -504,7 +1251,7 @@ async function showSettingsPanel() {
   });
 
   document.getElementById('cfg-cancel-btn').addEventListener('click', () => {
-    state.siteConfig = null; // reset so it reloads next time
+    if (!state.configDraft) state.siteConfig = null; // reset so it reloads next time
     if (state.photos.length > 0 && state.selected) {
       renderEditPanel(state.selected);
     } else {
@@ -515,32 +1262,19 @@ async function showSettingsPanel() {
   document.getElementById('cfg-save-btn').addEventListener('click', saveSettings);
 }
 
-async function saveSettings() {
+function saveSettings() {
   const taglineRaw = document.getElementById('cfg-tagline')?.value || '';
-  const newConfig = {
+  state.configDraft = {
+    ...state.siteConfig,   // keep keys this form doesn't edit
     siteName:            document.getElementById('cfg-sitename')?.value.trim()  || 'LEHTORE',
     heroEyebrow:         document.getElementById('cfg-eyebrow')?.value.trim()   || 'Photography',
+    siteUrl:             document.getElementById('cfg-siteurl')?.value.trim().replace(/\/+$/, '') || undefined,
     heroTagline:         taglineRaw.split('\n').map(s => s.trim()).filter(Boolean),
     showHeroTagline:     document.getElementById('cfg-show-tagline')?.checked   ?? false,
     showScrollIndicator: document.getElementById('cfg-show-scroll')?.checked    ?? false,
   };
-
-  const btn = document.getElementById('cfg-save-btn');
-  btn.disabled = true;
-  btn.textContent = 'Saving…';
-
-  try {
-    const json   = JSON.stringify(newConfig, null, 2);
-    const result = await ghPutFile('site-config.json', json, state.configSha, 'Update site config via admin panel');
-    state.siteConfig = newConfig;
-    state.configSha  = result.content.sha;
-    showToast('Settings saved! Site updates in ~1 minute.', 'success');
-  } catch (err) {
-    showToast('Save failed: ' + err.message, 'error');
-  } finally {
-    btn.disabled = false;
-    btn.textContent = 'Save & Publish';
-  }
+  updatePublishBtn();
+  showToast('Settings staged — click Publish to GitHub to apply.', 'success');
 }
 
 /* ── Helpers ──────────────────────────────────────────────── */
@@ -548,7 +1282,9 @@ function getPhoto(id) {
   return state.dirty[id] || state.photos.find(p => p.id === id) || null;
 }
 function applyDraft(partial) {
-  const id   = state.selected;
+  applyDraftTo(state.selected, partial);
+}
+function applyDraftTo(id, partial) {
   const base = state.dirty[id] || state.photos.find(p => p.id === id) || {};
   state.dirty[id] = { ...base, ...partial };
 }
@@ -559,7 +1295,8 @@ function markCard(id, dirty) {
   dot.classList.remove('saved');
 }
 function updatePublishBtn() {
-  const count  = Object.keys(state.dirty).length + state.pendingDeletes.length;
+  const count  = Object.keys(state.dirty).length + state.pendingDeletes.length +
+                 (state.albumsDirty ? 1 : 0) + (state.orderDirty ? 1 : 0) + (state.configDraft ? 1 : 0);
   const badge  = document.getElementById('dirty-count');
   const btn    = document.getElementById('publish-btn');
   if (badge) { badge.textContent = count > 0 ? `${count} unsaved` : ''; badge.style.display = count > 0 ? '' : 'none'; }
@@ -577,6 +1314,18 @@ function showToast(msg, type = '') {
   clearTimeout(toast._t);
   toast._t = setTimeout(() => { toast.className = ''; }, 4000);
 }
+// Explicit `order` first; unplaced photos keep their file order at the end
+function sortByOrder(photos) {
+  const rank = p => Number.isFinite(p.order) ? p.order : Infinity;
+  return photos
+    .map((p, i) => ({ p, i }))
+    .sort((a, b) => (rank(a.p) === rank(b.p) ? a.i - b.i : rank(a.p) < rank(b.p) ? -1 : 1))
+    .map(({ p }) => p);
+}
+function slugify(str) {
+  return str.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
 function esc(str) {
   return String(str).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
 }
@@ -2,28 +2,48 @@
 
 /* ============================================================
    LEHTORE — Gallery Logic
-   Handles: photo loading, masonry render, filtering, sorting,
-            lightbox (zoom/pan), keyboard nav, scroll animations
+   Handles: photo loading, masonry render, filtering, search, sorting,
+            albums (#/albums, #/album/<slug>), map (#/map), archive
+            (#/archive), lightbox (zoom/pan, slideshow), keyboard nav,
+            scroll animations, URL state + history, offline (sw.js)
+   Card markup and sorting live in render.js, the map in map.js; the
+   first render adopts the cards scripts/build-pages.js pre-rendered
+   into index.html.
    ============================================================ */
 
+const { GALLERY_PAGE, esc, pictureHTML, placeholderStyle, cardHTML, sortPhotos, fmtExposure, fmtDate, srcsetOf, largestOf } = LehtoreRender;
+const { fold } = LehtoreGeo;
+
 const state = {
   photos:   [],
+  albums:   [],
   filtered: [],
+  route:    { view: null },        // gallery | albums | album (+ slug) | map | archive (+ period); null until first render
   activeCategory: 'all',
   activeTags: new Set(),
-  sort: 'newest',
-  lb: { open: false, index: 0 },
+  tagMode: 'and',                  // and: photo has every active tag · or: any of them
+  query: '',                       // search box text
+  color: '',                       // rrggbb to browse by, or ''
+  sort: 'curated',
+  lb: { open: false, index: 0, pushed: false },   // pushed: opening added a history entry
 };
 
 const els = {};
+let worldMap = null;               // LehtoreMap, created on the first visit to #/map
+
+const LB_SIZES = '100vw';   // `sizes` hint for the lightbox image
+const FILTER_PARAMS = ['category', 'tag', 'match', 'color', 'sort', 'q'];   // query params the filters own
 
 /* ── Init ─────────────────────────────────────────────────── */
 document.addEventListener('DOMContentLoaded', async () => {
   cacheEls();
+  initOffline();
   await applyConfig();
   initHeroAnimation();
 
-  state.photos = await loadPhotos();
+  const data = await loadPhotos();
+  state.photos = data.photos;
+  state.albums = data.albums;
 
   document.getElementById('preloader').classList.add('hidden');
 
@@ -33,35 +53,64 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   buildFilters();
-  applyFiltersAndSort();
-  renderGallery();
   initControls();
+  initSearch();
+  initGallery();
   initLightbox();
   initKeyboard();
-  initScrollObserver();
-  handleHashOpen();
+  applyUrl();
+  // Fragment links fire both; applyUrl only acts on what changed
+  window.addEventListener('popstate', applyUrl);
+  window.addEventListener('hashchange', applyUrl);
 });
 
 function cacheEls() {
   const get = id => document.getElementById(id);
   els.gallery     = get('gallery');
+  els.galleryMore = get('gallery-more');
   els.emptyState  = get('empty-state');
   els.filterPills = get('filter-pills');
-  els.tagFilter   = get('tag-filter');
+  els.albumHeader = get('album-header');
+  els.mapView     = get('map-view');
+  els.mapLink     = document.querySelector('nav .map-link');
+  els.archiveLink = document.querySelector('nav .archive-link');
+  els.tagToggle   = get('tag-toggle');
+  els.tagPanel    = get('tag-panel');
+  els.tagCloud    = get('tag-cloud');
+  els.colorToggle = get('color-toggle');
+  els.colorPanel  = get('color-panel');
+  els.colorSwatches = get('color-swatches');
+  els.activeFilters = get('active-filters');
   els.sortSelect  = get('sort-select');
+  els.searchInput = get('search-input');
   els.lightbox    = get('lightbox');
   els.lbImage     = get('lb-image');
+  els.lbPlaceholder = get('lb-placeholder');
+  els.lbSourceAvif = get('lb-source-avif');
+  els.lbSourceWebp = get('lb-source-webp');
   els.lbTitle     = get('lb-title');
   els.lbLocation  = get('lb-location');
   els.lbDate      = get('lb-date');
   els.lbCamera    = get('lb-camera');
+  els.lbLens      = get('lb-lens');
+  els.lbExposure  = get('lb-exposure');
   els.lbCategory  = get('lb-category');
   els.lbTags      = get('lb-tags');
+  els.lbPalette   = get('lb-palette');
+  els.lbRelated   = get('lb-related');
+  els.lbRelatedList = get('lb-related-list');
   els.lbDesc      = get('lb-desc');
   els.lbCounter   = get('lb-counter');
   els.lbClose     = get('lb-close');
   els.lbPrev      = get('lb-prev');
   els.lbNext      = get('lb-next');
+  els.lbPlay      = get('lb-play');
+  els.lbInterval  = get('lb-interval');
+  els.lbEffect    = get('lb-effect');
+  els.lbInfoToggle = get('lb-info-toggle');
+  els.updateNotice  = get('update-notice');
+  els.updateReload  = get('update-reload');
+  els.updateDismiss = get('update-dismiss');
 }
 
 /* ── Site Config ──────────────────────────────────────────── */
@@ -106,18 +155,204 @@ async function applyConfig() {
 }
 
 /* ── Data ─────────────────────────────────────────────────── */
+// 'no-store' skips the HTTP cache only — sw.js still answers from its own
+// cache and revalidates (see initOffline)
 async function loadPhotos() {
   try {
     const res = await fetch('photos.json', { cache: 'no-store' });
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
     const data = await res.json();
-    return Array.isArray(data.photos) ? data.photos : [];
+    return {
+      photos: Array.isArray(data.photos) ? data.photos : [],
+      albums: Array.isArray(data.albums) ? data.albums : [],
+    };
   } catch (err) {
     console.error('Failed to load photos.json:', err);
-    return [];
+    return { photos: [], albums: [] };
+  }
+}
+
+/* ── Offline ──────────────────────────────────────────────── */
+// sw.js caches the site for offline and repeat visits. It serves photos.json
+// from its cache, so a newer one published since only shows on the next
+// load — it says so when it finds one, and the visitor can reload now.
+function initOffline() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('message', e => {
+    if (e.data?.type === 'photos-updated' && els.updateNotice) els.updateNotice.hidden = false;
+  });
+  els.updateReload?.addEventListener('click', () => location.reload());
+  els.updateDismiss?.addEventListener('click', () => { els.updateNotice.hidden = true; });
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js')
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+}
+
+/* ── Routing ──────────────────────────────────────────────── */
+// The hash holds the view and the open photo:
+//   #/albums                → album index
+//   #/album/<slug>[/<id>]   → one album, optionally with a photo open
+//   #/map[/<id>]            → photos on a world map, optionally with one open
+//   #/archive[/<period>][/<id>] → photos by year and month, scrolled to a
+//                             period (2026 or 2026-01) and optionally with one open
+//   #<id>                   → gallery with a photo open
+// The query string holds the gallery filters, defaults omitted:
+//   ?category=Street&tag=night&tag=fog&match=any&color=3c6a9e&sort=newest&q=harbour
+// Filter changes and opening a photo push history entries, so back/forward
+// step through them; typing a search and paging the lightbox replace.
+function parseRoute(hash = location.hash) {
+  const h = hash.replace(/^#/, '');
+  if (h === '/albums') return { view: 'albums' };
+  const map = h.match(/^\/map(?:\/([^/]+))?$/);
+  if (map) return { view: 'map', photo: map[1] ? decodeURIComponent(map[1]) : null };
+  const archive = h.match(/^\/archive(?:\/(\d{4}(?:-\d{2})?))?(?:\/([^/]+))?$/);
+  if (archive) {
+    return { view: 'archive', period: archive[1] || null, photo: archive[2] ? decodeURIComponent(archive[2]) : null };
+  }
+  const m = h.match(/^\/album\/([^/]+)(?:\/([^/]+))?$/);
+  if (m) {
+    return { view: 'album', slug: decodeURIComponent(m[1]), photo: m[2] ? decodeURIComponent(m[2]) : null };
+  }
+  const isPhoto = h && !h.startsWith('/') && h !== 'gallery';
+  return { view: 'gallery', photo: isPhoto ? decodeURIComponent(h) : null };
+}
+
+function routeHash(route = state.route) {
+  if (route.view === 'albums') return '#/albums';
+  if (route.view === 'album')  return `#/album/${encodeURIComponent(route.slug)}`;
+  if (route.view === 'map')    return '#/map';
+  if (route.view === 'archive') return route.period ? `#/archive/${route.period}` : '#/archive';
+  return '';
+}
+
+function photoHash(id) {
+  return ['album', 'map', 'archive'].includes(state.route.view)
+    ? `${routeHash()}/${encodeURIComponent(id)}`
+    : `#${encodeURIComponent(id)}`;
+}
+
+// The gallery filters apply to the main grid, the map and the archive, not to albums
+function usesFilters(view = state.route.view) {
+  return view === 'gallery' || view === 'map' || view === 'archive';
+}
+
+function currentAlbum() {
+  return state.route.view === 'album'
+    ? state.albums.find(a => a.slug === state.route.slug) || null
+    : null;
+}
+
+// Reads ?category=&tag=&match=&color=&sort=&q= into state; true if anything changed
+function readFilterParams() {
+  const params = new URLSearchParams(location.search);
+  const sorts  = els.sortSelect ? [...els.sortSelect.options].map(o => o.value) : [];
+  const next   = {
+    category: params.get('category') || 'all',
+    tags:     params.getAll('tag').filter(Boolean),
+    tagMode:  params.get('match') === 'any' ? 'or' : 'and',
+    color:    /^[0-9a-f]{6}$/i.test(params.get('color')) ? params.get('color').toLowerCase() : '',
+    sort:     sorts.includes(params.get('sort')) ? params.get('sort') : 'curated',
+    query:    params.get('q') || '',
+  };
+  const changed = next.category !== state.activeCategory ||
+                  next.tagMode  !== state.tagMode ||
+                  next.color    !== state.color ||
+                  next.sort     !== state.sort ||
+                  next.query    !== state.query ||
+                  next.tags.length !== state.activeTags.size ||
+                  next.tags.some(t => !state.activeTags.has(t));
+
+  state.activeCategory = next.category;
+  state.activeTags     = new Set(next.tags);
+  state.tagMode        = next.tagMode;
+  state.color          = next.color;
+  state.sort           = next.sort;
+  state.query          = next.query;
+  return changed;
+}
+
+// Current state as a URL; query params this page doesn't own are kept
+function stateUrl() {
+  const params = new URLSearchParams(location.search);
+  FILTER_PARAMS.forEach(key => params.delete(key));
+  if (state.activeCategory !== 'all') params.set('category', state.activeCategory);
+  state.activeTags.forEach(tag => params.append('tag', tag));
+  if (state.tagMode === 'or')         params.set('match', 'any');
+  if (state.color)                    params.set('color', state.color);
+  if (state.sort !== 'curated')       params.set('sort', state.sort);
+  if (state.query.trim())             params.set('q', state.query.trim());
+
+  const photo  = state.lb.open ? state.filtered[state.lb.index] : null;
+  const search = params.toString();
+  return location.pathname + (search ? `?${search}` : '') + (photo?.id ? photoHash(photo.id) : routeHash());
+}
+
+function writeUrl({ push = false, entry = null } = {}) {
+  const url = stateUrl();
+  if (url === location.pathname + location.search + location.hash) return;
+  if (push) history.pushState(entry, '', url);
+  else      history.replaceState(history.state, '', url);
+}
+
+// Brings state in line with the URL — on load, back/forward and hash links
+function applyUrl() {
+  const filtersChanged = readFilterParams();
+  if (filtersChanged) syncControls();
+
+  const route   = parseRoute();
+  const changed = route.view !== state.route.view || route.slug !== state.route.slug;
+  const jump    = route.period && (changed || filtersChanged || route.period !== state.route.period);
+  state.route = { view: route.view, slug: route.slug, period: route.period };
+  document.body.dataset.view = route.view;
+
+  if (changed || (filtersChanged && usesFilters(route.view))) {
+    if (state.lb.open) closeLightbox(true);
+    renderAlbumHeader();
+    applyFiltersAndSort();
+    renderGallery();
+    if (changed && route.view !== 'gallery' && !jump) els.albumHeader?.scrollIntoView({ behavior: 'smooth' });
+  }
+  if (jump) scrollToPeriod(route.period);
+
+  if (route.photo) {
+    const idx = state.filtered.findIndex(p => p.id === route.photo);
+    if (idx !== -1 && !(state.lb.open && state.lb.index === idx)) openLightbox(idx, true);
+  } else if (state.lb.open) {
+    closeLightbox(true);
   }
 }
 
+function renderAlbumHeader() {
+  if (!els.albumHeader) return;
+  const { view } = state.route;
+  const album    = currentAlbum();
+
+  if (view === 'gallery') {
+    els.albumHeader.hidden = true;
+    return;
+  }
+  els.albumHeader.hidden = false;
+  if (view === 'map' || view === 'archive') {
+    // The counts are filled in by renderMap / renderArchive, as filters change
+    els.albumHeader.innerHTML = `<h2 class="album-header-title">${view === 'map' ? 'Map' : 'Archive'}</h2>
+       <p class="album-header-meta"></p>`;
+    return;
+  }
+  els.albumHeader.innerHTML = view === 'albums'
+    ? `<h2 class="album-header-title">Albums</h2>
+       <p class="album-header-meta">${state.albums.length} album${state.albums.length === 1 ? '' : 's'}</p>`
+    : `<a class="album-header-back" href="#/albums">&#8592; All albums</a>
+       <h2 class="album-header-title">${esc(album?.title || 'Album not found')}</h2>
+       ${album?.description ? `<p class="album-header-desc">${esc(album.description)}</p>` : ''}
+       ${album ? `<p class="album-header-meta">${albumPhotos(album).length} photos</p>` : ''}`;
+}
+
+function albumPhotos(album) {
+  const byId = new Map(state.photos.map(p => [p.id, p]));
+  return (album.photos || []).map(id => byId.get(id)).filter(Boolean);
+}
+
 /* ── Hero Animation ───────────────────────────────────────── */
 function initHeroAnimation() {
   const nameEl = document.querySelector('.hero-name');
@@ -150,73 +385,428 @@ function buildFilters() {
     </button>`;
   }).join('');
 
-  const allTags = [...new Set(state.photos.flatMap(p => p.tags || []))].sort();
-  if (els.tagFilter && allTags.length) {
-    els.tagFilter.innerHTML =
-      '<option value="">All tags</option>' +
-      allTags.map(t => `<option value="${t}">${t}</option>`).join('');
-    els.tagFilter.style.display = '';
-  } else if (els.tagFilter) {
-    els.tagFilter.style.display = 'none';
+  if (els.tagToggle) els.tagToggle.hidden = !state.photos.some(p => (p.tags || []).length);
+  if (els.mapLink)   els.mapLink.hidden   = !state.photos.some(p => p.coords);
+  if (els.archiveLink) els.archiveLink.hidden = !state.photos.some(p => p.date);
+  if (els.colorToggle) els.colorToggle.hidden = !state.photos.some(p => (p.palette || []).length);
+  renderColorSwatches();
+  renderTagCloud();
+}
+
+// Tags of the photos in the current category, sized by how many use them.
+// Active tags stay listed even when the category has none of them.
+function renderTagCloud() {
+  if (!els.tagCloud) return;
+  const inCategory = state.activeCategory === 'all'
+    ? state.photos
+    : state.photos.filter(p => p.category === state.activeCategory);
+
+  const counts = new Map();
+  inCategory.forEach(p => (p.tags || []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+  state.activeTags.forEach(t => { if (!counts.has(t)) counts.set(t, 0); });
+
+  const max  = Math.max(1, ...counts.values());
+  const tags = [...counts.keys()].sort((a, b) => a.localeCompare(b));
+  els.tagCloud.innerHTML = tags.length
+    ? tags.map(tag => {
+        const count  = counts.get(tag);
+        const level  = count ? Math.ceil((count / max) * 4) : 1;   // 1–4
+        const active = state.activeTags.has(tag);
+        return `<button type="button" class="tag-cloud-item tag-level-${level}${active ? ' active' : ''}"
+          data-tag="${esc(tag)}" aria-pressed="${active}">${esc(tag)} <span class="pill-count">${count}</span></button>`;
+      }).join('')
+    : '<span class="tag-cloud-empty">No tags in this category.</span>';
+
+  renderActiveFilters();
+}
+
+// Removable chips for the selected tags (plus the match mode) and color
+function renderActiveFilters() {
+  const tags = [...state.activeTags];
+  if (els.tagToggle) {
+    els.tagToggle.querySelector('.tag-toggle-count').textContent = tags.length ? tags.length : '';
+    els.tagToggle.classList.toggle('has-active', tags.length > 0);
+  }
+  if (els.colorToggle) {
+    els.colorToggle.querySelector('.color-toggle-swatch').innerHTML = state.color ? swatchHTML(state.color) : '';
+    els.colorToggle.classList.toggle('has-active', Boolean(state.color));
   }
+  if (!els.activeFilters) return;
+
+  els.activeFilters.hidden = tags.length === 0 && !state.color;
+  els.activeFilters.innerHTML = (tags.length ? `
+    <span class="active-filters-label">${tags.length > 1 ? (state.tagMode === 'or' ? 'Any of' : 'All of') : 'Tagged'}</span>
+    ${tags.map(tag => `<button type="button" class="filter-chip" data-tag="${esc(tag)}" aria-label="Remove tag ${esc(tag)}">
+      ${esc(tag)} <span aria-hidden="true">&times;</span>
+    </button>`).join('')}` : '') + (state.color ? `
+    <span class="active-filters-label">Color</span>
+    <button type="button" class="filter-chip" data-color="${state.color}" aria-label="Remove color ${colorName(state.color)}">
+      ${swatchHTML(state.color)} ${colorName(state.color)} <span aria-hidden="true">&times;</span>
+    </button>` : '') + (tags.length || state.color ? `
+    <button type="button" class="filter-chip-clear">Clear</button>` : '');
+}
+
+// Reflects state.activeCategory, tags, tagMode, color, sort and query in the controls
+function syncControls() {
+  els.filterPills.querySelectorAll('.pill').forEach(p => {
+    p.classList.toggle('active', p.dataset.category === state.activeCategory);
+  });
+  els.tagPanel?.querySelectorAll('.tag-mode-btn').forEach(b => {
+    b.classList.toggle('active', b.dataset.mode === state.tagMode);
+    b.setAttribute('aria-pressed', String(b.dataset.mode === state.tagMode));
+  });
+  if (els.sortSelect)  els.sortSelect.value  = state.sort;
+  if (els.searchInput) els.searchInput.value = state.query;
+  renderColorSwatches();
+  renderTagCloud();
+}
+
+// A filter control changed: record it as a history entry and re-render
+function filtersChanged() {
+  writeUrl({ push: true });
+  transitionGallery();
+}
+
+function toggleTag(tag, on = !state.activeTags.has(tag)) {
+  if (on) state.activeTags.add(tag);
+  else    state.activeTags.delete(tag);
+  renderTagCloud();
+  filtersChanged();
 }
 
 function initControls() {
   els.filterPills.addEventListener('click', e => {
     const pill = e.target.closest('.pill');
     if (!pill) return;
-    document.querySelectorAll('.pill').forEach(p => p.classList.remove('active'));
-    pill.classList.add('active');
     state.activeCategory = pill.dataset.category;
-    transitionGallery();
+    syncControls();
+    filtersChanged();
   });
 
-  if (els.tagFilter) {
-    els.tagFilter.addEventListener('change', e => {
-      state.activeTags = e.target.value ? new Set([e.target.value]) : new Set();
-      transitionGallery();
-    });
-  }
+  els.tagToggle?.addEventListener('click', () => {
+    const open = els.tagPanel.hidden;
+    els.tagPanel.hidden = !open;
+    els.tagToggle.setAttribute('aria-expanded', String(open));
+  });
+  els.tagCloud?.addEventListener('click', e => {
+    const item = e.target.closest('.tag-cloud-item');
+    if (item) toggleTag(item.dataset.tag);
+  });
+  els.tagPanel?.querySelector('.tag-mode')?.addEventListener('click', e => {
+    const btn = e.target.closest('.tag-mode-btn');
+    if (!btn || btn.dataset.mode === state.tagMode) return;
+    state.tagMode = btn.dataset.mode;
+    syncControls();
+    if (state.activeTags.size > 1) filtersChanged();
+    else writeUrl();
+  });
+  els.colorToggle?.addEventListener('click', () => {
+    const open = els.colorPanel.hidden;
+    els.colorPanel.hidden = !open;
+    els.colorToggle.setAttribute('aria-expanded', String(open));
+  });
+  els.colorSwatches?.addEventListener('click', e => {
+    const swatch = e.target.closest('.color-swatch');
+    if (swatch) setColor(swatch.dataset.color === state.color ? '' : swatch.dataset.color);
+  });
+  els.activeFilters?.addEventListener('click', e => {
+    const chip = e.target.closest('.filter-chip');
+    if (chip?.dataset.color) return setColor('');
+    if (chip) return toggleTag(chip.dataset.tag, false);
+    if (e.target.closest('.filter-chip-clear')) {
+      state.activeTags.clear();
+      state.color = '';
+      syncControls();
+      filtersChanged();
+    }
+  });
 
   if (els.sortSelect) {
     els.sortSelect.addEventListener('change', e => {
       state.sort = e.target.value;
-      transitionGallery();
+      filtersChanged();
     });
   }
 }
 
 function applyFiltersAndSort() {
+  // Albums keep their hand-picked order and ignore the gallery filters
+  if (!usesFilters()) {
+    const album = currentAlbum();
+    state.filtered = album ? albumPhotos(album) : [];
+    return;
+  }
+
   let photos = [...state.photos];
 
   if (state.activeCategory !== 'all') {
     photos = photos.filter(p => p.category === state.activeCategory);
   }
   if (state.activeTags.size > 0) {
-    photos = photos.filter(p =>
-      [...state.activeTags].every(tag => (p.tags || []).includes(tag))
-    );
+    const tags  = [...state.activeTags];
+    const match = state.tagMode === 'or' ? 'some' : 'every';
+    photos = photos.filter(p => tags[match](tag => (p.tags || []).includes(tag)));
+  }
+  if (state.color) {
+    const lab = labOf(state.color);
+    photos = photos.filter(p => matchesColor(p, lab));
   }
+  const terms = searchTerms(state.query);
+  if (terms.length) {
+    photos = photos.filter(p => matchesSearch(p, terms));
+  }
+
+  state.filtered = sortPhotos(photos, state.sort);
+  if (state.route.view === 'map')     state.filtered = groupByPlace(state.filtered.filter(p => p.coords));
+  if (state.route.view === 'archive') state.filtered = byDate(state.filtered);
+}
+
+// Keeps each place's photos together (places in order of first appearance),
+// so the lightbox pages through one marker's photos before the next
+function groupByPlace(photos) {
+  const places = new Map();
+  photos.forEach(p => {
+    const key = `${p.coords.lat},${p.coords.lon}`;
+    if (!places.has(key)) places.set(key, []);
+    places.get(key).push(p);
+  });
+  return [...places.values()].flat();
+}
+
+// Newest first (oldest first with the "Oldest" sort), undated photos last;
+// photos from the same day keep their sorted order
+function byDate(photos) {
+  const dir = state.sort === 'oldest' ? 1 : -1;
+  return [
+    ...photos.filter(p => p.date).sort((a, b) => dir * a.date.localeCompare(b.date)),
+    ...photos.filter(p => !p.date),
+  ];
+}
+
+/* ── Search ───────────────────────────────────────────────── */
+// Every term must match one of the fields, as a substring or — for longer
+// terms — a word (or word prefix) within a typo or two. Accents and case
+// are ignored throughout.
+const SEARCH_FIELDS = ['title', 'description', 'location', 'camera'];
+const searchIndex   = new WeakMap();   // photo → { text, words }
+
+function initSearch() {
+  if (!els.searchInput) return;
+  let timer = null;
+  els.searchInput.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      state.query = els.searchInput.value;
+      writeUrl();
+      transitionGallery();
+    }, 180);
+  });
+  els.searchInput.addEventListener('keydown', e => {
+    if (e.key !== 'Escape' || !els.searchInput.value) return;
+    els.searchInput.value = '';
+    els.searchInput.dispatchEvent(new Event('input'));
+  });
+}
+
+// "Café  Zürich" → ['cafe', 'zurich']
+function searchTerms(query) {
+  return fold(query).split(/\s+/).filter(Boolean);
+}
+
+function indexOf(photo) {
+  let entry = searchIndex.get(photo);
+  if (!entry) {
+    const text = fold([...SEARCH_FIELDS.map(f => photo[f] || ''), ...(photo.tags || [])].join(' \n '));
+    entry = { text, words: [...new Set(text.split(/[^a-z0-9]+/).filter(Boolean))] };
+    searchIndex.set(photo, entry);
+  }
+  return entry;
+}
 
-  switch (state.sort) {
-    case 'newest':
-      photos.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
-      break;
-    case 'oldest':
-      photos.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
-      break;
-    case 'title':
-      photos.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
-      break;
+function matchesSearch(photo, terms) {
+  const { text, words } = indexOf(photo);
+  return terms.every(term => text.includes(term) || words.some(w => fuzzyWordMatch(term, w)));
+}
+
+// Typos allowed grow with term length; short terms must match exactly
+function fuzzyWordMatch(term, word) {
+  const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (!allowed) return false;
+  return editDistance(term, word, allowed) <= allowed ||
+         (word.length > term.length && editDistance(term, word.slice(0, term.length), allowed) <= allowed);
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, cur[j]);
+    }
+    if (best > max) return max + 1;
+    prev = cur;
   }
+  return prev[b.length];
+}
+
+// esc() for card text, wrapping search matches in <mark>
+function highlighter() {
+  const terms = state.route.view === 'gallery' ? searchTerms(state.query) : [];
+  if (!terms.length) return esc;
+
+  return text => {
+    // Fold character by character so match offsets map back to `text`
+    let folded = '';
+    const origin = [];   // folded offset → offset in text
+    for (let i = 0; i < text.length; i++) {
+      const f = fold(text[i]);
+      folded += f;
+      for (let k = 0; k < f.length; k++) origin.push(i);
+    }
+
+    const hits = new Array(text.length).fill(false);
+    const markRange = (start, end) => {
+      for (let k = origin[start]; k < (end < origin.length ? origin[end] : text.length); k++) hits[k] = true;
+    };
+    terms.forEach(term => {
+      for (let at = folded.indexOf(term); at !== -1; at = folded.indexOf(term, at + 1)) markRange(at, at + term.length);
+    });
+    for (const m of folded.matchAll(/[a-z0-9]+/g)) {
+      if (terms.some(term => fuzzyWordMatch(term, m[0]))) markRange(m.index, m.index + m[0].length);
+    }
+
+    let html = '';
+    for (let k = 0; k < text.length; k++) {
+      if (hits[k] && !hits[k - 1]) html += '<mark>';
+      html += esc(text[k]);
+      if (hits[k] && !hits[k + 1]) html += '</mark>';
+    }
+    return html;
+  };
+}
 
-  // Featured float to top
-  const featured = photos.filter(p => p.featured);
-  const rest     = photos.filter(p => !p.featured);
-  state.filtered = [...featured, ...rest];
+/* ── Color ────────────────────────────────────────────────── */
+// A photo matches a color when any of its palette (see process-photos.js)
+// lies within COLOR_MATCH of it — CIE76 ΔE, plain distance in Lab space,
+// where equal steps look about equally different. The swatches are a fixed
+// range of tones; the lightbox offers each photo's own palette too.
+const COLOR_MATCH = 20;
+const COLOR_SWATCHES = [
+  ['b8352c', 'Red'],    ['d47a2c', 'Orange'], ['d8b847', 'Yellow'], ['5b8048', 'Green'],
+  ['3d8580', 'Teal'],   ['3c6a9e', 'Blue'],   ['8fb4d4', 'Sky'],    ['6c4f8f', 'Purple'],
+  ['cf8aa0', 'Pink'],   ['7a5538', 'Brown'],  ['cdb893', 'Sand'],   ['eeeeea', 'White'],
+  ['8a8a8a', 'Gray'],   ['1c1c1c', 'Black'],
+];
+const labCache = new Map();        // rrggbb → [L, a, b]
+
+// sRGB → linear → XYZ (D65) → CIELAB
+function labOf(hex) {
+  hex = hex.replace(/^#/, '');
+  let lab = labCache.get(hex);
+  if (lab) return lab;
+  const [r, g, b] = [0, 2, 4].map(i => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const x = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+  const y = f( 0.2126 * r + 0.7152 * g + 0.0722 * b);
+  const z = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+  lab = [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+  labCache.set(hex, lab);
+  return lab;
+}
+
+function matchesColor(photo, lab) {
+  return (photo.palette || []).some(hex => {
+    const [L, a, b] = labOf(hex);
+    return Math.hypot(L - lab[0], a - lab[1], b - lab[2]) <= COLOR_MATCH;
+  });
+}
+
+// A swatch's name, or the hex code for a color picked from a photo's palette
+function colorName(hex) {
+  return COLOR_SWATCHES.find(([h]) => h === hex)?.[1] || `#${hex}`;
+}
+
+function swatchHTML(hex) {
+  return `<span class="swatch" style="--swatch:#${hex}" aria-hidden="true"></span>`;
+}
+
+// The swatch row, each with how many photos match it; ones nothing matches are disabled
+function renderColorSwatches() {
+  if (!els.colorSwatches) return;
+  els.colorSwatches.innerHTML = COLOR_SWATCHES.map(([hex, name]) => {
+    const count  = state.photos.filter(p => matchesColor(p, labOf(hex))).length;
+    const active = hex === state.color;
+    return `<button type="button" class="color-swatch${active ? ' active' : ''}" data-color="${hex}"
+      title="${name} — ${count} photo${count === 1 ? '' : 's'}" aria-label="${name}" aria-pressed="${active}"${count || active ? '' : ' disabled'}>
+      ${swatchHTML(hex)}
+    </button>`;
+  }).join('');
+}
+
+function setColor(hex) {
+  state.color = hex;
+  renderColorSwatches();
+  renderActiveFilters();
+  filtersChanged();
+}
+
+// From the lightbox: the photos in `hex`, as a new history entry. Albums
+// don't take filters, so from one this goes to the main gallery.
+function browseColor(hex) {
+  const params = new URLSearchParams(location.search);
+  params.set('color', hex);
+  history.pushState(null, '', `${location.pathname}?${params}${usesFilters() ? routeHash() : ''}`);
+  applyUrl();
 }
 
 /* ── Gallery Render ───────────────────────────────────────── */
+// The gallery and album views show state.filtered a page at a time, adding
+// GALLERY_PAGE more cards as the end of the grid nears the viewport; the
+// archive renders each month as it comes near (see renderArchive).
+const feed = {
+  masonry: null,                   // the gallery/album grid; null in other views
+  shown:   0,                      // cards of state.filtered in it so far
+  months:  [],                     // archive: { el, masonry, photos, start, rendered }
+  more:    null,                   // IntersectionObserver on #gallery-more
+  near:    null,                   // IntersectionObserver on archive month grids
+};
+
+// One set of listeners for every card, whatever view rendered it
+function initGallery() {
+  els.gallery.addEventListener('click', e => {
+    const link = e.target.closest('.archive-jump');
+    if (link) return jumpToPeriod(e, link);
+    const card = e.target.closest('.photo-card[data-index]');
+    if (card) openLightbox(Number(card.dataset.index));
+  });
+
+  feed.more = new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) showMore();
+  }, { rootMargin: '0px 0px 1200px 0px' });
+  if (els.galleryMore) feed.more.observe(els.galleryMore);
+
+  feed.near = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      feed.near.unobserve(entry.target);
+      renderMonth(feed.months[Number(entry.target.dataset.month)]);
+    });
+  }, { rootMargin: '1200px 0px' });
+
+  let frame = 0;
+  window.addEventListener('resize', () => {
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(relayoutGallery);
+  });
+}
+
 function transitionGallery() {
   const cards = els.gallery.querySelectorAll('.photo-card');
   cards.forEach(c => {
@@ -230,77 +820,382 @@ function transitionGallery() {
 }
 
 function renderGallery() {
+  if (state.route.view === 'albums') {
+    renderAlbumIndex();
+    return;
+  }
+  if (state.route.view === 'map') {
+    renderMap();
+    return;
+  }
+  if (state.route.view === 'archive') renderArchiveMeta();
   if (state.filtered.length === 0) {
-    els.gallery.innerHTML = '';
+    resetGallery();
     showEmptyState(
-      state.photos.length === 0
-        ? 'No photos yet. Upload via GitHub to get started.'
-        : 'No photos match these filters.'
+      state.photos.length === 0             ? 'No photos yet. Upload via GitHub to get started.' :
+      state.route.view === 'album'          ? (currentAlbum() ? 'This album is empty.' : 'Album not found.') :
+      state.query                           ? `No photos match “${state.query.trim()}”.` :
+                                              'No photos match these filters.'
     );
     return;
   }
   hideEmptyState();
 
-  els.gallery.innerHTML = state.filtered.map(cardHTML).join('');
+  if (state.route.view === 'archive') {
+    renderArchive();
+    return;
+  }
 
-  // Staggered entrance
-  const cards = els.gallery.querySelectorAll('.photo-card');
+  const adopted = adoptPrerendered();
+  resetGallery();
+  feed.masonry = createMasonry(els.gallery);
+  if (adopted) {
+    feed.masonry.append(adopted.map((card, i) => [card, aspectOf(state.filtered[i])]));
+    feed.shown = adopted.length;
+    prepareCards(adopted);
+  }
+  showMore();
+}
+
+// Empties #gallery and forgets whatever grid it held
+function resetGallery(html = '') {
+  feed.masonry = null;
+  feed.shown   = 0;
+  feed.months  = [];
+  feed.near?.disconnect();
+  els.gallery.classList.remove('masonry');
+  els.gallery.innerHTML = html;
+}
+
+// Appends the next page of cards to the gallery/album grid
+function showMore() {
+  if (!feed.masonry || feed.shown >= state.filtered.length) return;
+  const start = feed.shown;
+  const cards = cardElements(state.filtered.slice(start, start + GALLERY_PAGE), start);
+  feed.masonry.append(cards);
+  feed.shown += cards.length;
+  prepareCards(cards.map(([card]) => card));
+
+  // Re-observing reports the sentinel afresh, so a short page keeps filling
+  if (els.galleryMore) {
+    feed.more.unobserve(els.galleryMore);
+    feed.more.observe(els.galleryMore);
+  }
+}
+
+function relayoutGallery() {
+  feed.masonry?.relayout();
+  feed.months.forEach(month => {
+    month.masonry.relayout();
+    reserveHeight(month);
+  });
+}
+
+// [card element, aspect] pairs for `photos`, numbered from `start` in state.filtered
+function cardElements(photos, start) {
+  const mark = highlighter();
+  const tpl  = document.createElement('template');
+  tpl.innerHTML = photos.map((photo, i) => cardHTML(photo, start + i, mark)).join('');
+  return [...tpl.content.children].map((card, i) => [card, aspectOf(photos[i])]);
+}
+
+// Staggered entrance, placeholder fade-in and scroll animation for new cards
+function prepareCards(cards) {
   cards.forEach((card, i) => {
     card.style.transitionDelay = `${Math.min(i * 0.035, 0.45).toFixed(3)}s`;
   });
+  revealOnLoad(cards);
+  initScrollObserver(cards);
+}
 
-  cards.forEach(card => {
-    card.addEventListener('click', () => {
-      const idx = parseInt(card.dataset.index, 10);
-      openLightbox(idx);
+// Thumbnails still loading start transparent over their placeholder and fade
+// in once they arrive; ones already loaded (e.g. pre-rendered) are left alone
+function revealOnLoad(cards) {
+  cards.forEach(card => card.querySelectorAll('.card-img-wrap img').forEach(img => {
+    if (img.complete) return;
+    img.classList.add('pending');
+    const reveal = () => img.classList.remove('pending');
+    img.addEventListener('load',  reveal, { once: true });
+    img.addEventListener('error', reveal, { once: true });
+  }));
+}
+
+// The cards baked into index.html (the first page of the default view), to
+// keep on first render as long as this view starts with exactly them —
+// photos.json may be newer than the build. Null when they can't be used.
+function adoptPrerendered() {
+  if (!els.gallery.hasAttribute('data-prerendered')) return null;
+  els.gallery.removeAttribute('data-prerendered');
+  if (state.query) return null;   // baked-in cards carry no highlights
+  const cards = [...els.gallery.querySelectorAll('.photo-card')];
+  const fits  = cards.length === Math.min(GALLERY_PAGE, state.filtered.length) &&
+                cards.every((card, i) => card.dataset.id === state.filtered[i].id);
+  return fits ? cards : null;
+}
+
+/* ── Masonry ──────────────────────────────────────────────── */
+// Cards go into the shortest of --columns (see style.css) column <div>s.
+// Heights come from each photo's stored width/height rather than from
+// measuring, so appending never moves a card already placed and a grid's
+// height is known before its cards exist.
+function aspectOf(photo) {
+  return photo.width && photo.height ? photo.height / photo.width : 1;
+}
+
+function createMasonry(container) {
+  let columns = [];                // { el, height } — height in column widths
+  let placed  = [];                // [card, aspect], in order
+  let metrics = measure();
+
+  function measure() {
+    const style = getComputedStyle(container);
+    const count = Math.max(1, parseInt(style.getPropertyValue('--columns'), 10) || 1);
+    const gap   = parseFloat(style.getPropertyValue('--gap')) || 0;
+    const inner = container.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+    const width = (inner - gap * (count - 1)) / count;
+    return { count, width, spacing: width > 0 ? gap / width : 0 };
+  }
+
+  function build() {
+    columns = Array.from({ length: metrics.count }, () => {
+      const el = document.createElement('div');
+      el.className = 'masonry-col';
+      return { el, height: 0 };
     });
-  });
+    container.replaceChildren(...columns.map(c => c.el));
+  }
+
+  function place(card, aspect) {
+    const col = columns.reduce((a, b) => (b.height < a.height ? b : a));
+    col.el.appendChild(card);
+    col.height += aspect + metrics.spacing;
+  }
+
+  function append(cards) {
+    cards.forEach(([card, aspect]) => {
+      place(card, aspect);
+      placed.push([card, aspect]);
+    });
+  }
+
+  // Re-deals every card when a breakpoint changes the column count
+  function relayout() {
+    const next    = measure();
+    const changed = next.count !== metrics.count;
+    metrics = next;
+    if (!changed) return;
+    build();
+    placed.forEach(([card, aspect]) => place(card, aspect));
+  }
+
+  // Pixel height `aspects` will take once placed; 0 while the grid is hidden
+  function heightFor(aspects) {
+    const heights = new Array(metrics.count).fill(0);
+    aspects.forEach(aspect => {
+      heights[heights.indexOf(Math.min(...heights))] += aspect + metrics.spacing;
+    });
+    return Math.max(...heights) * Math.max(0, metrics.width);
+  }
 
-  initScrollObserver();
+  container.classList.add('masonry');
+  build();
+  return { append, relayout, heightFor };
 }
 
-function cardHTML(photo, index) {
-  const thumb    = photo.thumb || photo.src;
-  const title    = photo.title    || 'Untitled';
-  const location = photo.location || '';
-  const category = photo.category || '';
-  const aspect   = photo.width && photo.height
-    ? `width="${photo.width}" height="${photo.height}"`
-    : '';
+function renderAlbumIndex() {
+  const albums = state.albums.filter(a => albumPhotos(a).length > 0);
+  if (albums.length === 0) {
+    resetGallery();
+    showEmptyState('No albums yet.');
+    return;
+  }
+  hideEmptyState();
+  resetGallery(albums.map(albumCardHTML).join(''));
+  const cards = [...els.gallery.querySelectorAll('.photo-card')];
+  revealOnLoad(cards);
+  initScrollObserver(cards);
+}
+
+function albumCardHTML(album) {
+  const photos = albumPhotos(album);
+  const cover  = photos.find(p => p.id === album.cover) || photos[0];
+  const title  = album.title || album.slug;
 
   return `
-<div class="photo-card${photo.featured ? ' featured' : ''}"
-     data-index="${index}"
-     data-id="${photo.id || ''}">
-  <div class="card-img-wrap">
-    <img src="${thumb}" alt="${esc(title)}" loading="lazy" ${aspect}>
+<a class="photo-card album-card" href="#/album/${encodeURIComponent(album.slug)}">
+  <div class="card-img-wrap"${placeholderStyle(cover)}>
+    ${pictureHTML(cover, title)}
   </div>
-  <div class="card-overlay">
-    ${category ? `<span class="card-category">${esc(category)}</span>` : ''}
-    <div class="card-info">
-      <h3 class="card-title">${esc(title)}</h3>
-      ${location ? `<p class="card-location">${esc(location)}</p>` : ''}
-    </div>
+  <div class="album-card-info">
+    <h3 class="card-title">${esc(title)}</h3>
+    <p class="card-location">${photos.length} photo${photos.length === 1 ? '' : 's'}</p>
   </div>
-</div>`;
+</a>`;
+}
+
+function renderMap() {
+  if (!worldMap) {
+    worldMap = LehtoreMap.createMap(els.mapView, {
+      basemapUrl: 'data/basemap.json',
+      onSelect:   photo => openLightbox(state.filtered.indexOf(photo)),
+    });
+  }
+  const places = worldMap.setPhotos(state.filtered);
+  const count  = state.filtered.length;
+
+  const meta = els.albumHeader?.querySelector('.album-header-meta');
+  if (meta) {
+    meta.textContent = `${count} photo${count === 1 ? '' : 's'} in ${places} place${places === 1 ? '' : 's'}`;
+  }
+  if (count) hideEmptyState();
+  else showEmptyState(state.photos.some(p => p.coords)
+    ? 'No photos on the map match these filters.'
+    : 'No photos have a location on the map yet.');
+}
+
+/* ── Archive ──────────────────────────────────────────────── */
+// state.filtered (already in date order, see byDate) as
+// [{ key: '2026', label, count, months: [{ key: '2026-01', label, photos }] }];
+// undated photos form a last group with a single, unlabelled month
+function archiveGroups(photos) {
+  const years = [];
+  photos.forEach(photo => {
+    const key   = photo.date ? photo.date.slice(0, 4) : 'undated';
+    const month = photo.date ? photo.date.slice(0, 7) : null;
+    let year = years[years.length - 1];
+    if (year?.key !== key) {
+      year = { key, label: photo.date ? key : 'Undated', count: 0, months: [] };
+      years.push(year);
+    }
+    let group = year.months[year.months.length - 1];
+    if (!group || group.key !== month) {
+      group = { key: month, label: month ? fmtMonth(month) : null, photos: [] };
+      year.months.push(group);
+    }
+    group.photos.push(photo);
+    year.count++;
+  });
+  return years;
+}
+
+// "January 2026"
+function fmtMonth(month) {
+  return new Date(`${month}-01T00:00:00`).toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+}
+
+function renderArchiveMeta() {
+  const meta = els.albumHeader?.querySelector('.album-header-meta');
+  if (!meta) return;
+  const count = state.filtered.length;
+  const years = state.filtered.map(p => p.date?.slice(0, 4)).filter(Boolean).sort();
+  const span  = years.length ? ` · ${years[0]}${years[0] !== years[years.length - 1] ? `–${years[years.length - 1]}` : ''}` : '';
+  meta.textContent = `${count} photo${count === 1 ? '' : 's'}${span}`;
+}
+
+// Year and month sections with a scrubber for jumping between years. Every
+// month's grid is sized up front from its photos' aspect ratios, but only
+// gets its cards once it comes near the viewport.
+function renderArchive() {
+  const years = archiveGroups(state.filtered);
+  const count = n => `${n} photo${n === 1 ? '' : 's'}`;
+  const months = years.flatMap(y => y.months);
+  let start = 0;
+  months.forEach(m => {
+    m.start = start;
+    start += m.photos.length;
+  });
+
+  els.gallery.removeAttribute('data-prerendered');
+  resetGallery(`
+<nav class="archive-scrubber" aria-label="Jump to year">
+  ${years.map(y => `<a class="archive-jump" href="${routeHash({ view: 'archive', period: y.key === 'undated' ? null : y.key })}" data-period="${y.key}">
+    ${y.label} <span class="pill-count">${y.count}</span></a>`).join('')}
+</nav>
+${years.map(y => `
+<section class="archive-year" id="archive-${y.key}" data-period="${y.key}">
+  <h2 class="archive-year-title">${y.label} <span class="archive-count">${count(y.count)}</span></h2>
+  ${y.months.map(m => `
+  <section class="archive-month"${m.key ? ` id="archive-${m.key}"` : ''}>
+    ${m.key ? `<h3 class="archive-month-title">
+      <a class="archive-jump" href="${routeHash({ view: 'archive', period: m.key })}" data-period="${m.key}">${m.label}</a>
+      <span class="archive-count">${count(m.photos.length)}</span>
+    </h3>` : ''}
+    <div class="archive-grid" data-month="${months.indexOf(m)}"></div>
+  </section>`).join('')}
+</section>`).join('')}`);
+
+  feed.months = [...els.gallery.querySelectorAll('.archive-grid')].map((el, i) => ({
+    el,
+    masonry:  createMasonry(el),
+    photos:   months[i].photos,
+    start:    months[i].start,
+    rendered: false,
+  }));
+  feed.months.forEach(month => {
+    reserveHeight(month);
+    feed.near.observe(month.el);
+  });
+  observeArchiveYears();
+}
+
+function renderMonth(month) {
+  if (!month || month.rendered) return;
+  month.rendered = true;
+  const cards = cardElements(month.photos, month.start);
+  month.masonry.append(cards);
+  prepareCards(cards.map(([card]) => card));
+}
+
+// Holds a month's place at its eventual height, so the page doesn't shift as
+// months fill in and period links land where they should
+function reserveHeight(month) {
+  const height = month.masonry.heightFor(month.photos.map(aspectOf));
+  month.el.style.minHeight = height ? `${Math.round(height)}px` : '';
+}
+
+// Highlights the scrubber entry of the year crossing the middle of the screen
+let archiveObserver = null;
+function observeArchiveYears() {
+  archiveObserver?.disconnect();
+  const links = els.gallery.querySelectorAll('.archive-scrubber .archive-jump');
+  archiveObserver = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      links.forEach(l => l.classList.toggle('active', l.dataset.period === entry.target.dataset.period));
+    });
+  }, { rootMargin: '-50% 0px -50% 0px' });
+  els.gallery.querySelectorAll('.archive-year').forEach(section => archiveObserver.observe(section));
+}
+
+// A month section, or its year if that month has no photos under the current filters
+function scrollToPeriod(period) {
+  const target = document.getElementById(`archive-${period}`) ||
+                 document.getElementById(`archive-${period.slice(0, 4)}`);
+  target?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Scrubber and month links record the period in the URL and scroll to it,
+// even when it is already the current one ("Undated" has no period of its own)
+function jumpToPeriod(e, link) {
+  e.preventDefault();
+  state.route.period = link.dataset.period === 'undated' ? null : link.dataset.period;
+  writeUrl({ push: true });
+  scrollToPeriod(link.dataset.period);
 }
 
 /* ── Scroll Observer ──────────────────────────────────────── */
-function initScrollObserver() {
-  const cards = els.gallery.querySelectorAll('.photo-card:not(.observed)');
-  const observer = new IntersectionObserver(entries => {
+let scrollObserver = null;
+function initScrollObserver(cards) {
+  scrollObserver ??= new IntersectionObserver(entries => {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
         entry.target.classList.add('in-view');
-        observer.unobserve(entry.target);
+        scrollObserver.unobserve(entry.target);
       }
     });
   }, { threshold: 0.04, rootMargin: '0px 0px -40px 0px' });
 
-  cards.forEach(c => {
-    c.classList.add('observed');
-    observer.observe(c);
-  });
+  cards.forEach(c => scrollObserver.observe(c));
 }
 
 /* ── Empty State ──────────────────────────────────────────── */
@@ -318,7 +1213,7 @@ function hideEmptyState() {
 const zoom = { scale: 1, panX: 0, panY: 0, dragging: false, lastX: 0, lastY: 0 };
 
 function initLightbox() {
-  els.lbClose.addEventListener('click', closeLightbox);
+  els.lbClose.addEventListener('click', () => closeLightbox());
   els.lbPrev.addEventListener('click', () => navigate(-1));
   els.lbNext.addEventListener('click', () => navigate(1));
 
@@ -326,6 +1221,14 @@ function initLightbox() {
   els.lightbox.addEventListener('click', e => {
     if (e.target === els.lightbox) closeLightbox();
   });
+  els.lbPalette?.addEventListener('click', e => {
+    const swatch = e.target.closest('.lb-swatch');
+    if (swatch) browseColor(swatch.dataset.color);
+  });
+  els.lbRelatedList?.addEventListener('click', e => {
+    const item = e.target.closest('.lb-related-item');
+    if (item) openRelated(item.dataset.id);
+  });
 
   // Swipe support
   let touchStartX = 0;
@@ -338,29 +1241,48 @@ function initLightbox() {
   }, { passive: true });
 
   initZoom();
+  initSlideshow();
 }
 
-function openLightbox(index) {
+// `fromUrl`: applyUrl is following the URL, which already names the photo.
+// Otherwise opening pushes an entry, so back closes the lightbox again.
+function openLightbox(index, fromUrl = false) {
   state.lb.open  = true;
   state.lb.index = index;
   loadLbPhoto();
   els.lightbox.classList.add('open');
   document.body.style.overflow = 'hidden';
+
+  if (fromUrl) {
+    state.lb.pushed = history.state?.lightbox === true;
+  } else {
+    writeUrl({ push: true, entry: { lightbox: true } });
+    state.lb.pushed = true;
+  }
 }
 
-function closeLightbox() {
-  state.lb.open = false;
+function closeLightbox(fromUrl = false) {
+  // Step back over the entry openLightbox pushed; popstate then closes it
+  if (!fromUrl && state.lb.pushed) {
+    history.back();
+    return;
+  }
+  stopSlideshow();
+  state.lb.open   = false;
+  state.lb.pushed = false;
   els.lightbox.classList.remove('open');
   document.body.style.overflow = '';
-  history.replaceState(null, '', location.pathname);
+  if (!fromUrl) writeUrl();
   resetZoom();
 }
 
 function navigate(dir) {
+  if (show.playing) return showSlide(state.lb.index + dir);
   const next = state.lb.index + dir;
   if (next < 0 || next >= state.filtered.length) return;
   state.lb.index = next;
   loadLbPhoto();
+  writeUrl();
   resetZoom();
 }
 
@@ -368,18 +1290,35 @@ function loadLbPhoto() {
   const photo = state.filtered[state.lb.index];
   if (!photo) return;
 
+  // The blurred placeholder shows until the photo has loaded, then fades out behind it
+  const placeholder = els.lbPlaceholder;
+  if (placeholder) {
+    placeholder.classList.remove('loaded');
+    placeholder.hidden = !photo.placeholder;
+    if (photo.placeholder) placeholder.src = photo.placeholder;
+  }
   els.lbImage.classList.add('loading');
-  els.lbImage.onload = () => els.lbImage.classList.remove('loading');
-  els.lbImage.src = photo.src || photo.thumb || '';
+  els.lbImage.onload = () => {
+    els.lbImage.classList.remove('loading');
+    placeholder?.classList.add('loaded');
+  };
+  setPictureSources([els.lbSourceAvif, els.lbSourceWebp, els.lbImage], photo);
   els.lbImage.alt = photo.title || '';
 
   setText(els.lbTitle,    photo.title    || 'Untitled');
   setText(els.lbLocation, photo.location || '');
   setText(els.lbDate,     photo.date     ? fmtDate(photo.date) : '');
   setText(els.lbCamera,   photo.camera   || '');
+  setMeta(els.lbLens,     photo.lens     || '');
+  setMeta(els.lbExposure, fmtExposure(photo));
   setText(els.lbCategory, photo.category || '');
   setText(els.lbCounter,  `${state.lb.index + 1} / ${state.filtered.length}`);
 
+  if (els.lbPalette) {
+    els.lbPalette.innerHTML = (photo.palette || []).map(hex => hex.slice(1)).map(hex =>
+      `<button type="button" class="lb-swatch" data-color="${hex}" title="Browse #${hex}" aria-label="Browse photos in #${hex}">${swatchHTML(hex)}</button>`
+    ).join('');
+  }
   if (els.lbTags) {
     els.lbTags.innerHTML = (photo.tags || [])
       .map(t => `<span class="lb-tag">${esc(t)}</span>`).join('');
@@ -388,26 +1327,29 @@ function loadLbPhoto() {
     els.lbDesc.textContent = photo.description || '';
     els.lbDesc.style.display = photo.description ? '' : 'none';
   }
+  renderRelated(photo);
 
   updateNavBtns();
-
-  if (photo.id) history.replaceState(null, '', `#${photo.id}`);
 }
 
+// The slideshow loops, so neither end is disabled while it runs
 function updateNavBtns() {
   const { index } = state.lb;
-  const last = state.filtered.length - 1;
-  els.lbPrev.style.opacity = index === 0    ? '0.25' : '1';
-  els.lbNext.style.opacity = index === last ? '0.25' : '1';
-  els.lbPrev.style.pointerEvents = index === 0    ? 'none' : '';
-  els.lbNext.style.pointerEvents = index === last ? 'none' : '';
+  const first = !show.playing && index === 0;
+  const last  = !show.playing && index === state.filtered.length - 1;
+  els.lbPrev.style.opacity = first ? '0.25' : '1';
+  els.lbNext.style.opacity = last  ? '0.25' : '1';
+  els.lbPrev.style.pointerEvents = first ? 'none' : '';
+  els.lbNext.style.pointerEvents = last  ? 'none' : '';
 }
 
-function handleHashOpen() {
-  const hash = location.hash.slice(1);
-  if (!hash) return;
-  const idx = state.filtered.findIndex(p => p.id === hash);
-  if (idx !== -1) openLightbox(idx);
+// Points a lightbox-style <picture> — avif and webp <source>s, then the
+// <img> — at `photo`
+function setPictureSources([avif, webp, img], photo) {
+  setSources(avif, srcsetOf(photo, 'avif'), LB_SIZES);
+  setSources(webp, srcsetOf(photo, 'webp'), LB_SIZES);
+  setSources(img,  srcsetOf(photo, 'jpeg'), LB_SIZES);
+  img.src = largestOf(photo, 'jpeg') || photo.src || photo.thumb || '';
 }
 
 /* ── Zoom / Pan ───────────────────────────────────────────── */
@@ -485,6 +1427,271 @@ function pinchDist(touches) {
   return Math.hypot(dx, dy);
 }
 
+/* ── Slideshow ────────────────────────────────────────────── */
+// Fullscreen, looping over state.filtered. Pauses while the mouse is over
+// the photo or on Space; stops when the lightbox closes or fullscreen is
+// left. Interval, transition and the details toggle are remembered.
+const SLIDESHOW_KEY = 'lehtore-slideshow';
+const show = {
+  playing: false, paused: false, hover: false,
+  timer: 0,
+  next: null,                      // the preloading <picture> for the next photo
+  interval: 5, effect: 'fade', hideInfo: false,
+};
+
+function initSlideshow() {
+  let saved = {};
+  try { saved = JSON.parse(localStorage.getItem(SLIDESHOW_KEY)) || {}; } catch { /* storage unavailable */ }
+  const intervals = [...els.lbInterval.options].map(o => Number(o.value));
+  if (intervals.includes(saved.interval))          show.interval = saved.interval;
+  if (['fade', 'kenburns'].includes(saved.effect)) show.effect   = saved.effect;
+  els.lbInterval.value = String(show.interval);
+  els.lbEffect.value   = show.effect;
+  setInfoHidden(saved.hideInfo === true);
+
+  els.lbPlay.addEventListener('click', () => (show.playing ? stopSlideshow() : startSlideshow()));
+  els.lbInterval.addEventListener('change', () => {
+    show.interval = Number(els.lbInterval.value);
+    saveSlideshow();
+    scheduleSlide();
+  });
+  els.lbEffect.addEventListener('change', () => {
+    show.effect = els.lbEffect.value;
+    saveSlideshow();
+    applyEffect();
+  });
+  els.lbInfoToggle.addEventListener('click', () => {
+    setInfoHidden(!show.hideInfo);
+    saveSlideshow();
+  });
+
+  const container = document.getElementById('lb-image-container');
+  container?.addEventListener('pointerenter', e => { if (e.pointerType === 'mouse') setHover(true); });
+  container?.addEventListener('pointerleave', e => { if (e.pointerType === 'mouse') setHover(false); });
+  // Esc in fullscreen is taken by the browser; leaving fullscreen ends the show
+  document.addEventListener('fullscreenchange', () => {
+    if (!document.fullscreenElement) stopSlideshow();
+  });
+}
+
+function saveSlideshow() {
+  try {
+    localStorage.setItem(SLIDESHOW_KEY, JSON.stringify({
+      interval: show.interval, effect: show.effect, hideInfo: show.hideInfo,
+    }));
+  } catch { /* storage unavailable */ }
+}
+
+function startSlideshow() {
+  if (!state.lb.open || show.playing || state.filtered.length < 2) return;
+  show.playing = true;
+  show.paused  = false;
+  show.hover   = false;            // until the mouse next moves onto the photo
+  els.lightbox.classList.add('slideshow');
+  els.lightbox.requestFullscreen?.().catch(() => { /* stays in the window */ });
+  resetZoom();
+  updateNavBtns();
+  updateSlideshowUi();
+  applyEffect();
+  preloadNext();
+  scheduleSlide();
+}
+
+function stopSlideshow() {
+  if (!show.playing) return;
+  show.playing = false;
+  show.paused  = false;
+  show.next    = null;
+  clearTimeout(show.timer);
+  els.lightbox.classList.remove('slideshow');
+  if (document.fullscreenElement === els.lightbox) document.exitFullscreen().catch(() => {});
+  applyEffect();
+  updateNavBtns();
+  updateSlideshowUi();
+}
+
+function setPaused(paused) {
+  show.paused = paused;
+  updateSlideshowUi();
+  scheduleSlide();
+}
+
+function setHover(hover) {
+  show.hover = hover;
+  updateSlideshowUi();
+  scheduleSlide();
+}
+
+function scheduleSlide() {
+  clearTimeout(show.timer);
+  if (!show.playing || show.paused || show.hover) return;
+  show.timer = setTimeout(() => showSlide(state.lb.index + 1), show.interval * 1000);
+}
+
+// Moves the show to `index`, wrapping around at either end
+function showSlide(index) {
+  const count = state.filtered.length;
+  crossfade();
+  state.lb.index = (index + count) % count;
+  loadLbPhoto();
+  writeUrl();
+  resetZoom();
+  applyEffect();
+  preloadNext();
+  scheduleSlide();
+}
+
+// Lays a copy of the outgoing photo over the lightbox and fades it out once
+// the incoming one has loaded
+function crossfade() {
+  const img = els.lbImage;
+  if (!img.currentSrc || !img.complete) return;
+  const ghost = document.createElement('img');
+  ghost.className = 'lb-ghost';
+  ghost.alt = '';
+  ghost.src = img.currentSrc;
+  const { scale, translate } = getComputedStyle(img);   // mid-Ken Burns
+  Object.assign(ghost.style, { scale, translate });
+  img.closest('#lb-image-container').appendChild(ghost);
+
+  const fade = () => {
+    ghost.classList.add('out');
+    setTimeout(() => ghost.remove(), 1000);
+  };
+  img.addEventListener('load', fade, { once: true });
+  setTimeout(fade, 3000);   // don't hold a photo that never loads
+}
+
+// (Re)starts the Ken Burns drift, in a random direction, on the current photo
+function applyEffect() {
+  const img = els.lbImage;
+  img.classList.remove('kenburns');
+  if (!show.playing || show.effect !== 'kenburns') return;
+  img.style.setProperty('--kb-x', `${(Math.random() * 6 - 3).toFixed(2)}%`);
+  img.style.setProperty('--kb-y', `${(Math.random() * 4 - 2).toFixed(2)}%`);
+  img.style.setProperty('--kb-duration', `${show.interval + 1}s`);
+  void img.offsetWidth;   // reflow, so re-adding the class restarts the animation
+  img.classList.add('kenburns');
+}
+
+// Starts fetching the next photo at lightbox size, so it can show at once
+function preloadNext() {
+  const photo   = state.filtered[(state.lb.index + 1) % state.filtered.length];
+  const picture = document.createElement('picture');
+  picture.innerHTML = '<source type="image/avif"><source type="image/webp"><img alt="">';
+  setPictureSources([...picture.children], photo);
+  show.next = picture;   // keeps the request alive until the next slide
+}
+
+function updateSlideshowUi() {
+  els.lightbox.classList.toggle('paused', show.playing && (show.paused || show.hover));
+  els.lbPlay.classList.toggle('active', show.playing);
+  els.lbPlay.innerHTML = show.playing ? '&#9632;' : '&#9654;';
+  els.lbPlay.setAttribute('aria-label', show.playing ? 'Stop slideshow' : 'Start slideshow');
+}
+
+function setInfoHidden(hidden) {
+  show.hideInfo = hidden;
+  els.lightbox.classList.toggle('hide-info', hidden);
+  els.lbInfoToggle.classList.toggle('active', hidden);
+  els.lbInfoToggle.setAttribute('aria-pressed', String(hidden));
+  els.lbInfoToggle.setAttribute('aria-label', hidden ? 'Show photo details' : 'Hide photo details');
+}
+
+/* ── Related Photos ───────────────────────────────────────── */
+// Photos like the one in the lightbox, from the whole collection: shared tags
+// (rarer tags count for more), category, place, how close together they were
+// taken and — when both have one — palette. Scored here rather than by the
+// processor so admin edits count straight away.
+const RELATED_COUNT = 6;
+const RELATED_MIN   = 2;           // score a photo needs to be offered at all
+const RELATED_SIZES = '80px';
+const relatedCache  = new WeakMap();   // photo → related photos
+let tagWeights = null;             // tag → 1 + ln(photos / photos with the tag)
+
+function relatedPhotos(photo) {
+  let related = relatedCache.get(photo);
+  if (!related) {
+    related = state.photos
+      .filter(p => p !== photo)
+      .map(p => ({ p, score: relatedness(photo, p) }))
+      .filter(r => r.score >= RELATED_MIN)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RELATED_COUNT)
+      .map(r => r.p);
+    relatedCache.set(photo, related);
+  }
+  return related;
+}
+
+function relatedness(a, b) {
+  if (!tagWeights) {
+    const counts = new Map();
+    state.photos.forEach(p => (p.tags || []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+    tagWeights = new Map([...counts].map(([t, n]) => [t, 1 + Math.log(state.photos.length / n)]));
+  }
+  let score = 0;
+  const tags = new Set(a.tags || []);
+  (b.tags || []).forEach(t => { if (tags.has(t)) score += tagWeights.get(t); });
+
+  if (a.category && a.category === b.category) score += 1;
+
+  // Same place, or at least the same country ("Chicago, USA" → "usa")
+  const place   = p => fold(p.location || '').trim();
+  const country = p => place(p).split(',').pop().trim();
+  if (place(a) && place(a) === place(b)) score += 2;
+  else if (country(a) && country(a) === country(b)) score += 0.5;
+
+  // Taken within a month of each other, more the closer
+  if (a.date && b.date) {
+    const days = Math.abs(Date.parse(a.date) - Date.parse(b.date)) / 864e5;
+    if (days < 30) score += 1.5 * (1 - days / 30);
+  }
+
+  // Main colors alike: how far, on average, a's three most prominent colors
+  // are from the nearest in b's palette
+  if (a.palette?.length && b.palette?.length) {
+    const main   = a.palette.slice(0, 3).map(labOf);
+    const others = b.palette.map(labOf);
+    const dist = main.reduce((sum, lab) =>
+      sum + Math.min(...others.map(o => Math.hypot(lab[0] - o[0], lab[1] - o[1], lab[2] - o[2]))), 0) / main.length;
+    if (dist < COLOR_MATCH) score += 1 - dist / COLOR_MATCH;
+  }
+  return score;
+}
+
+function renderRelated(photo) {
+  if (!els.lbRelated) return;
+  const related = relatedPhotos(photo);
+  els.lbRelated.hidden = related.length === 0;
+  els.lbRelatedList.innerHTML = related.map(p => {
+    const title = p.title || 'Untitled';
+    return `<button type="button" class="lb-related-item" data-id="${esc(p.id)}" title="${esc(title)}"${placeholderStyle(p)}>
+      ${pictureHTML(p, title, RELATED_SIZES)}
+    </button>`;
+  }).join('');
+}
+
+// Within the current list a related photo is paged to like prev/next;
+// otherwise it opens in the unfiltered gallery as a new history entry, so
+// back returns to this photo in its own list
+function openRelated(id) {
+  const index = state.filtered.findIndex(p => p.id === id);
+  if (index !== -1) {
+    if (show.playing) return showSlide(index);
+    state.lb.index = index;
+    loadLbPhoto();
+    writeUrl();
+    resetZoom();
+    return;
+  }
+  const params = new URLSearchParams(location.search);
+  FILTER_PARAMS.forEach(key => params.delete(key));
+  const search = params.toString();
+  history.pushState(null, '', `${location.pathname}${search ? `?${search}` : ''}#${encodeURIComponent(id)}`);
+  applyUrl();
+}
+
 /* ── Keyboard ─────────────────────────────────────────────── */
 function initKeyboard() {
   document.addEventListener('keydown', e => {
@@ -492,22 +1699,35 @@ function initKeyboard() {
     if (e.key === 'Escape')      closeLightbox();
     if (e.key === 'ArrowLeft')   navigate(-1);
     if (e.key === 'ArrowRight')  navigate(1);
+    // Space starts the slideshow, then pauses and resumes it
+    if (e.key === ' ' && !e.target.closest?.('button, select')) {
+      e.preventDefault();
+      if (show.playing) setPaused(!show.paused);
+      else startSlideshow();
+    }
+    if (e.key === 'i' || e.key === 'I') {
+      setInfoHidden(!show.hideInfo);
+      saveSlideshow();
+    }
   });
 }
 
 /* ── Helpers ──────────────────────────────────────────────── */
-function esc(str) {
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-}
 function setText(el, val) { if (el) el.textContent = val; }
-function fmtDate(d) {
-  try {
-    return new Date(d + 'T00:00:00').toLocaleDateString('en-US', {
-      year: 'numeric', month: 'long', day: 'numeric'
-    });
-  } catch { return d; }
+// Like setText, but hides the surrounding .lb-meta-item when there is no value
+function setMeta(el, val) {
+  if (!el) return;
+  el.textContent = val;
+  const item = el.closest('.lb-meta-item');
+  if (item) item.style.display = val ? '' : 'none';
+}
+function setSources(el, srcset, sizes) {
+  if (!el) return;
+  if (srcset) {
+    el.srcset = srcset;
+    el.sizes  = sizes;
+  } else {
+    el.removeAttribute('srcset');
+    el.removeAttribute('sizes');
+  }
 }
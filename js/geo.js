@@ -0,0 +1,73 @@
+'use strict';
+
+/* ============================================================
+   LEHTORE — Place Lookup
+   Turns a free-text location ("Chicago, USA") into coarse,
+   city-level coordinates using the offline gazetteer in
+   data/gazetteer.json. Shared by scripts/lib/geocode.js and
+   the admin panel's "Look up" button; nothing here ever reads
+   GPS data from the photos themselves. The gallery uses fold()
+   for its search.
+
+   Loaded as a classic script in the browser and imported for its
+   side effect in Node; both see globalThis.LehtoreGeo.
+   ============================================================ */
+
+(() => {
+  // Lower-case and strip accents: "Zürich" → "zurich". Keeps one character
+  // per character otherwise, which gallery.js's search highlighting relies on.
+  function fold(str) {
+    return String(str).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  // Gazetteer keys are punctuation-insensitive too: "U.S.A." → "usa"
+  function placeKey(str) {
+    return fold(str).replace(/[.'’]/g, '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Coordinates are kept to two decimals (~1 km) — city level, never more
+  function roundCoord(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  /* ── Gazetteer ──────────────────────────────────────────── */
+  // `data` is the parsed gazetteer.json:
+  //   countries  canonical name → other names for it
+  //   aliases    other name for a place → its name in `places`
+  //   places     [ name, country, lat, lon ]
+  function createGazetteer(data) {
+    const countries = new Map();
+    Object.entries(data.countries || {}).forEach(([name, others]) => {
+      [name, ...others].forEach(n => countries.set(placeKey(n), name));
+    });
+    const aliases = new Map(Object.entries(data.aliases || {}).map(([alias, name]) => [placeKey(alias), placeKey(name)]));
+    const places  = new Map();
+    (data.places || []).forEach(([name, country, lat, lon]) => {
+      const key = placeKey(name);
+      if (!places.has(key)) places.set(key, []);
+      places.get(key).push({ name, country, lat, lon });
+    });
+
+    // { name, country, lat, lon } for the most specific part of `location` the
+    // gazetteer knows, or null. A trailing country narrows ambiguous names;
+    // without one, a name found in several countries matches nothing.
+    function lookup(location) {
+      const parts   = String(location || '').split(',').map(placeKey).filter(Boolean);
+      const country = parts.length > 1 ? countries.get(parts[parts.length - 1]) : null;
+
+      for (const part of parts) {
+        let hits = places.get(aliases.get(part) || part) || [];
+        if (country) hits = hits.filter(p => p.country === country);
+        if (hits.length === 1) {
+          const { name, lat, lon } = hits[0];
+          return { name, country: hits[0].country, lat: roundCoord(lat), lon: roundCoord(lon) };
+        }
+      }
+      return null;
+    }
+
+    return { lookup };
+  }
+
+  globalThis.LehtoreGeo = { createGazetteer, roundCoord, fold };
+})();
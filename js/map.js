@@ -0,0 +1,308 @@
+'use strict';
+
+/* ============================================================
+   LEHTORE — Map View
+   Photos with `coords` on a world map, for gallery.js's #/map:
+   an equirectangular SVG of the bundled land layer
+   (data/basemap.json — any GeoJSON land polygons will do, e.g.
+   Natural Earth), with markers clustered by on-screen distance.
+   Drag, wheel, pinch or the buttons to pan and zoom. No tiles and
+   no external services.
+
+   Loaded as a classic script after render.js; exposes
+   globalThis.LehtoreMap.
+   ============================================================ */
+
+(() => {
+  const { esc } = globalThis.LehtoreRender;
+
+  const W = 1000;                  // world width in SVG units (360°)
+  const H = 500;                   // world height (180°)
+  const MAX_ZOOM   = 48;
+  const FIT_ZOOM   = 6;            // closest zoom when fitting a single place
+  const CLUSTER_PX = 34;           // markers nearer than this on screen merge
+
+  function project(lon, lat) {
+    return [(lon + 180) / 360 * W, (90 - lat) / 180 * H];
+  }
+
+  /* ── Basemap ────────────────────────────────────────────── */
+  function ringPath(ring) {
+    return 'M' + ring.map(([lon, lat]) => project(lon, lat).map(n => n.toFixed(1)).join(',')).join('L') + 'Z';
+  }
+
+  function landPaths(geojson) {
+    return (geojson.features || []).map(f => {
+      const g = f.geometry || {};
+      const polygons = g.type === 'Polygon' ? [g.coordinates] : g.type === 'MultiPolygon' ? g.coordinates : [];
+      return polygons.map(rings => rings.map(ringPath).join('')).join('');
+    }).filter(Boolean);
+  }
+
+  function graticulePath(step = 30) {
+    let d = '';
+    for (let lon = -180 + step; lon < 180; lon += step) {
+      const [x] = project(lon, 0);
+      d += `M${x},0V${H}`;
+    }
+    for (let lat = -90 + step; lat < 90; lat += step) {
+      const [, y] = project(0, lat);
+      d += `M0,${y}H${W}`;
+    }
+    return d;
+  }
+
+  /* ── Map ────────────────────────────────────────────────── */
+  // onSelect(photo) is called when a single place's marker is activated
+  function createMap(container, { basemapUrl, onSelect }) {
+    container.innerHTML = `
+      <svg class="map-svg" viewBox="0 0 ${W} ${H}" aria-label="World map of photo locations">
+        <rect class="map-sea" x="0" y="0" width="${W}" height="${H}"/>
+        <path class="map-graticule" d="${graticulePath()}"/>
+        <g class="map-land"></g>
+        <g class="map-markers"></g>
+      </svg>
+      <div class="map-zoom">
+        <button type="button" class="map-zoom-btn" data-zoom="in" aria-label="Zoom in" title="Zoom in">+</button>
+        <button type="button" class="map-zoom-btn" data-zoom="out" aria-label="Zoom out" title="Zoom out">&minus;</button>
+        <button type="button" class="map-zoom-btn" data-zoom="fit" aria-label="Show all places" title="Show all places">&#x2922;</button>
+      </div>`;
+
+    const svg     = container.querySelector('.map-svg');
+    const land    = container.querySelector('.map-land');
+    const markers = container.querySelector('.map-markers');
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+
+    let places = [];                         // { x, y, label, photos }
+    let shown  = [];                         // clusters as last drawn
+    let view   = { x: W / 2, y: H / 2, k: 1 };
+    let frame  = 0;
+    let anim   = 0;
+
+    fetch(basemapUrl)
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then(geojson => {
+        land.innerHTML = landPaths(geojson).map(d => `<path d="${d}"/>`).join('');
+      })
+      .catch(err => console.error('Failed to load the basemap:', err));
+
+    /* ── View ─────────────────────────────────────────────── */
+    function clampView(v) {
+      const k  = Math.min(MAX_ZOOM, Math.max(1, v.k));
+      const hw = W / k / 2;
+      const hh = H / k / 2;
+      return {
+        k,
+        x: Math.min(W - hw, Math.max(hw, v.x)),
+        y: Math.min(H - hh, Math.max(hh, v.y)),
+      };
+    }
+
+    function setView(next, animate = false) {
+      cancelAnimationFrame(anim);
+      next = clampView(next);
+      if (!animate || reduceMotion) {
+        view = next;
+        return draw();
+      }
+      const from  = view;
+      const start = performance.now();
+      const step  = now => {
+        const t = Math.min(1, (now - start) / 320);
+        const e = 1 - Math.pow(1 - t, 3);
+        view = {
+          x: from.x + (next.x - from.x) * e,
+          y: from.y + (next.y - from.y) * e,
+          k: from.k * Math.pow(next.k / from.k, e),
+        };
+        draw();
+        if (t < 1) anim = requestAnimationFrame(step);
+      };
+      anim = requestAnimationFrame(step);
+    }
+
+    // SVG units per CSS pixel (the viewBox is letterboxed to fit the element)
+    function unitsPerPx() {
+      const rect = svg.getBoundingClientRect();
+      if (!rect.width || !rect.height) return W / view.k / 1000;
+      return Math.max(W / view.k / rect.width, H / view.k / rect.height);
+    }
+
+    function toSvg(clientX, clientY) {
+      const rect = svg.getBoundingClientRect();
+      const upp  = unitsPerPx();
+      return {
+        x: view.x + (clientX - rect.left - rect.width  / 2) * upp,
+        y: view.y + (clientY - rect.top  - rect.height / 2) * upp,
+      };
+    }
+
+    function zoomAt(factor, point = view) {
+      const k = Math.min(MAX_ZOOM, Math.max(1, view.k * factor));
+      setView({
+        k,
+        x: point.x - (point.x - view.x) * view.k / k,
+        y: point.y - (point.y - view.y) * view.k / k,
+      });
+    }
+
+    // The view that frames `list` of places, with some margin
+    function viewFor(list) {
+      if (!list.length)      return { x: W / 2, y: H / 2, k: 1 };
+      if (list.length === 1) return clampView({ x: list[0].x, y: list[0].y, k: FIT_ZOOM });
+      const xs = list.map(p => p.x);
+      const ys = list.map(p => p.y);
+      const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+      const k = Math.min(W / ((x1 - x0) * 1.6 || 1e-6), H / ((y1 - y0) * 1.6 || 1e-6));
+      return clampView({ x: (x0 + x1) / 2, y: (y0 + y1) / 2, k });
+    }
+
+    /* ── Markers ──────────────────────────────────────────── */
+    // Greedy clustering, biggest places first, at the current zoom
+    function clusters() {
+      const radius = CLUSTER_PX * unitsPerPx();
+      const out    = [];
+      [...places].sort((a, b) => b.photos.length - a.photos.length).forEach(place => {
+        const near = out.find(c => Math.hypot(c.x - place.x, c.y - place.y) < radius);
+        if (!near) {
+          out.push({ x: place.x, y: place.y, count: place.photos.length, places: [place] });
+          return;
+        }
+        const count = near.count + place.photos.length;
+        near.x = (near.x * near.count + place.x * place.photos.length) / count;
+        near.y = (near.y * near.count + place.y * place.photos.length) / count;
+        near.count = count;
+        near.places.push(place);
+      });
+      return out;
+    }
+
+    function draw() {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        const { x, y, k } = view;
+        svg.setAttribute('viewBox', `${x - W / k / 2} ${y - H / k / 2} ${W / k} ${H / k}`);
+
+        const upp = unitsPerPx();
+        shown = clusters();
+        markers.innerHTML = shown.map((c, i) => {
+          const r     = (9 + 3 * Math.sqrt(c.count)) * upp;
+          const multi = c.places.length > 1;
+          const label = multi
+            ? `${c.places.length} places, ${c.count} photos — zoom in`
+            : `${c.places[0].label} — ${c.count} photo${c.count === 1 ? '' : 's'}`;
+          return `<g class="map-marker${multi ? ' map-cluster' : ''}" data-cluster="${i}"
+              transform="translate(${c.x.toFixed(3)} ${c.y.toFixed(3)})" tabindex="0" role="button" aria-label="${esc(label)}">
+            <title>${esc(multi ? c.places.map(p => p.label).join(' · ') : label)}</title>
+            <circle r="${r.toFixed(3)}"/>
+            <text dy="0.35em" style="font-size:${(11 * upp).toFixed(3)}px">${c.count}</text>
+          </g>`;
+        }).join('');
+      });
+    }
+
+    // A cluster zooms in on its places; a single place (or one that can't be
+    // split any further) opens its first photo
+    function activate(index) {
+      const cluster = shown[index];
+      if (!cluster) return;
+      const next = viewFor(cluster.places);
+      if (cluster.places.length > 1 && next.k > view.k * 1.05) return setView(next, true);
+      onSelect?.(cluster.places[0].photos[0]);
+    }
+
+    /* ── Input ────────────────────────────────────────────── */
+    const pointers = new Map();
+    let dragged = false;
+    let pinch   = null;
+
+    // The pointer is captured only once it drags: a captured pointer's click
+    // goes to the <svg> itself, and a tap on a marker would find no marker
+    svg.addEventListener('pointerdown', e => {
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (pointers.size === 1) dragged = false;
+    });
+    svg.addEventListener('pointermove', e => {
+      const last = pointers.get(e.pointerId);
+      if (!last) return;
+      if (pointers.size === 1) {
+        const dx = e.clientX - last.x;
+        const dy = e.clientY - last.y;
+        if (!dragged && Math.hypot(dx, dy) < 4) return;
+        if (!dragged) svg.setPointerCapture?.(e.pointerId);
+        dragged = true;
+        const upp = unitsPerPx();
+        setView({ ...view, x: view.x - dx * upp, y: view.y - dy * upp });
+      } else if (pointers.size === 2) {
+        const [a, b] = [...pointers.values()];
+        const dist   = Math.hypot(a.x - b.x, a.y - b.y);
+        if (pinch) zoomAt(dist / pinch, toSvg((a.x + b.x) / 2, (a.y + b.y) / 2));
+        svg.setPointerCapture?.(e.pointerId);
+        pinch   = dist;
+        dragged = true;
+      }
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    });
+    const release = e => {
+      pointers.delete(e.pointerId);
+      pinch = null;
+    };
+    svg.addEventListener('pointerup', release);
+    svg.addEventListener('pointercancel', release);
+
+    svg.addEventListener('wheel', e => {
+      e.preventDefault();
+      zoomAt(Math.exp(-e.deltaY * 0.002), toSvg(e.clientX, e.clientY));
+    }, { passive: false });
+
+    svg.addEventListener('dblclick', e => {
+      if (!e.target.closest('.map-marker')) zoomAt(2, toSvg(e.clientX, e.clientY));
+    });
+
+    svg.addEventListener('click', e => {
+      if (dragged) return;
+      const marker = e.target.closest('.map-marker');
+      if (marker) activate(Number(marker.dataset.cluster));
+    });
+    svg.addEventListener('keydown', e => {
+      const marker = e.target.closest('.map-marker');
+      if (!marker || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      activate(Number(marker.dataset.cluster));
+    });
+
+    container.querySelector('.map-zoom').addEventListener('click', e => {
+      const btn = e.target.closest('.map-zoom-btn');
+      if (!btn) return;
+      if (btn.dataset.zoom === 'in')  zoomAt(2);
+      if (btn.dataset.zoom === 'out') zoomAt(0.5);
+      if (btn.dataset.zoom === 'fit') setView(viewFor(places), true);
+    });
+
+    window.addEventListener('resize', draw);
+
+    /* ── API ──────────────────────────────────────────────── */
+    // Shows `photos` (those without coords are skipped), grouped by place,
+    // and frames them all
+    function setPhotos(photos) {
+      const byPlace = new Map();
+      photos.forEach(photo => {
+        if (!photo.coords) return;
+        const { lat, lon } = photo.coords;
+        const key = `${lat},${lon}`;
+        if (!byPlace.has(key)) {
+          const [x, y] = project(lon, lat);
+          byPlace.set(key, { x, y, label: photo.location || `${lat}, ${lon}`, photos: [] });
+        }
+        byPlace.get(key).photos.push(photo);
+      });
+      places = [...byPlace.values()];
+      setView(viewFor(places));
+      return places.length;
+    }
+
+    return { setPhotos, redraw: draw };
+  }
+
+  globalThis.LehtoreMap = { createMap, project };
+})();
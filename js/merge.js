@@ -0,0 +1,94 @@
+'use strict';
+
+/* ============================================================
+   LEHTORE — Three-Way Merge
+   Merges the photos and albums of photos.json when it changed on
+   GitHub since admin.js loaded it; admin.js asks about conflicts.
+
+   Loaded as a classic script in the browser and imported for its
+   side effect in Node (test/); both see globalThis.LehtoreMerge.
+   ============================================================ */
+
+(() => {
+  // Three-way merge of keyed records (photos by id, albums by slug). Fields
+  // changed on one side only take that side's value; fields changed on both
+  // sides to different values become conflicts, provisionally resolved to
+  // `mine`. A record deleted on one side and edited on the other is a conflict
+  // on the pseudo-field `(deleted)`; one added on both sides with different
+  // values, on `(added)`. Record order follows `mine`, with records
+  // only `theirs` has appended in their order.
+  function threeWayMerge(base, mine, theirs, key) {
+    const index  = list => new Map(list.map(r => [r[key], r]));
+    const B = index(base), M = index(mine), T = index(theirs);
+    const ids = [...new Set([...mine.map(r => r[key]), ...theirs.map(r => r[key])])];
+    const records   = [];
+    const conflicts = [];
+
+    for (const id of [...B.keys(), ...ids.filter(id => !B.has(id))]) {
+      const b = B.get(id), m = M.get(id), t = T.get(id);
+
+      if (!b) {                                   // added on one or both sides
+        if (m && t && !sameValue(m, t)) conflicts.push({ id, field: '(added)', base: null, mine: m, theirs: t });
+        records.push({ id, value: m || t });
+        continue;
+      }
+      if (!m && !t) continue;                     // deleted on both sides
+      if (!m || !t) {                             // deleted on one side
+        const survivor = m || t;
+        if (sameValue(survivor, b)) continue;     // other side untouched → delete
+        conflicts.push({ id, field: '(deleted)', base: b, mine: m || null, theirs: t || null });
+        records.push({ id, value: m || null });
+        continue;
+      }
+
+      const value = {};
+      for (const field of new Set([...Object.keys(b), ...Object.keys(m), ...Object.keys(t)])) {
+        const bv = b[field], mv = m[field], tv = t[field];
+        if (sameValue(mv, bv))      value[field] = tv;
+        else if (sameValue(tv, bv)) value[field] = mv;
+        else if (sameValue(mv, tv)) value[field] = mv;
+        else if (field === 'updated') value[field] = [mv, tv].sort().pop();   // both edited it: the later one
+        else {
+          conflicts.push({ id, field, base: bv, mine: mv, theirs: tv });
+          value[field] = mv;
+        }
+      }
+      records.push({ id, value });
+    }
+
+    // Order: mine first, then theirs-only additions
+    const position = new Map([...mine, ...theirs.filter(r => !M.has(r[key]))].map((r, i) => [r[key], i]));
+    records.sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+    return { records, conflicts };
+  }
+
+  // Applies the user's per-conflict choice ('mine' | 'theirs') and returns the
+  // final record list
+  function applyResolutions({ records, conflicts }, choices) {
+    const byId = new Map(records.map(r => [r.id, r]));
+    conflicts.forEach((c, i) => {
+      const rec  = byId.get(c.id);
+      const pick = choices[i] === 'theirs' ? c.theirs : c.mine;
+      if (c.field === '(deleted)' || c.field === '(added)') {
+        rec.value = pick;
+      } else {
+        rec.value = { ...rec.value, [c.field]: pick };
+        if (rec.value[c.field] === undefined) delete rec.value[c.field];
+      }
+    });
+    return records.map(r => r.value).filter(Boolean).map(v => {
+      Object.keys(v).forEach(k => v[k] === undefined && delete v[k]);
+      return v;
+    });
+  }
+
+  // Deep equality that ignores object key order
+  function sameValue(a, b) {
+    const canon = v => Array.isArray(v) ? v.map(canon)
+      : v && typeof v === 'object' ? Object.fromEntries(Object.keys(v).sort().map(k => [k, canon(v[k])]))
+      : v;
+    return JSON.stringify(canon(a)) === JSON.stringify(canon(b));
+  }
+
+  globalThis.LehtoreMerge = { threeWayMerge, applyResolutions, sameValue };
+})();
@@ -0,0 +1,140 @@
+'use strict';
+
+/* ============================================================
+   LEHTORE — Shared Rendering
+   Card markup, formatting and the default sort, shared by
+   gallery.js in the browser and scripts/build-pages.js, which
+   pre-renders the same markup into index.html. Keeping one copy
+   is what lets gallery.js hydrate the baked-in cards as-is.
+
+   Loaded as a classic script in the browser and imported for its
+   side effect in Node; both see globalThis.LehtoreRender.
+   ============================================================ */
+
+(() => {
+  // `sizes` hints matching the masonry column breakpoints in style.css
+  const CARD_SIZES = '(max-width: 640px) 100vw, (max-width: 960px) 50vw, 33vw';
+  // Cards gallery.js adds per scroll step, and how many build-pages.js bakes in
+  const GALLERY_PAGE = 48;
+
+  /* ── Markup ─────────────────────────────────────────────── */
+  function pictureHTML(photo, alt, sizes = CARD_SIZES) {
+    const thumb  = photo.thumb || photo.src;
+    const aspect = photo.width && photo.height
+      ? `width="${photo.width}" height="${photo.height}"`
+      : '';
+
+    return `<picture>
+      ${['avif', 'webp'].map(f => srcsetOf(photo, f)
+        ? `<source type="image/${f}" srcset="${srcsetOf(photo, f)}" sizes="${sizes}">`
+        : '').join('')}
+      <img src="${thumb}"${srcsetOf(photo, 'jpeg') ? ` srcset="${srcsetOf(photo, 'jpeg')}" sizes="${sizes}"` : ''}
+           alt="${esc(alt)}" loading="lazy" ${aspect}>
+    </picture>`;
+  }
+
+  // Paints a photo's dominant color and blurred placeholder (both from
+  // process-photos.js) behind its image while it loads — see .card-img-wrap
+  function placeholderStyle(photo) {
+    const rules = [];
+    if (photo.color)       rules.push(`background-color:${photo.color}`);
+    if (photo.placeholder) rules.push(`--placeholder:url(${photo.placeholder})`);
+    return rules.length ? ` style="${esc(rules.join(';'))}"` : '';
+  }
+
+  // `mark(text)` renders title/location text as HTML — gallery.js passes a
+  // search highlighter; it must escape like esc() does
+  function cardHTML(photo, index, mark = esc) {
+    const title    = photo.title    || 'Untitled';
+    const location = photo.location || '';
+    const category = photo.category || '';
+
+    return `
+<div class="photo-card${photo.featured ? ' featured' : ''}"
+     data-index="${index}"
+     data-id="${photo.id || ''}">
+  <div class="card-img-wrap"${placeholderStyle(photo)}>
+    ${pictureHTML(photo, title)}
+  </div>
+  <div class="card-overlay">
+    ${category ? `<span class="card-category">${esc(category)}</span>` : ''}
+    <div class="card-info">
+      <h3 class="card-title">${mark(title)}</h3>
+      ${location ? `<p class="card-location">${mark(location)}</p>` : ''}
+    </div>
+  </div>
+</div>`;
+  }
+
+  /* ── Sorting ────────────────────────────────────────────── */
+  // The gallery's sort options; 'curated' is the default view
+  function sortPhotos(photos, sort = 'curated') {
+    photos = [...photos];
+    switch (sort) {
+      case 'curated':
+        // Hand-sequenced in admin; photos not yet placed follow, newest first
+        return photos.sort((a, b) => byOrder(a, b) || (b.date || '').localeCompare(a.date || ''));
+      case 'newest':
+        photos.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+        break;
+      case 'oldest':
+        photos.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        break;
+      case 'title':
+        photos.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+        break;
+    }
+
+    // Featured float to top
+    return [...photos.filter(p => p.featured), ...photos.filter(p => !p.featured)];
+  }
+
+  function byOrder(a, b) {
+    const oa = Number.isFinite(a.order) ? a.order : Infinity;
+    const ob = Number.isFinite(b.order) ? b.order : Infinity;
+    return oa === ob ? 0 : oa < ob ? -1 : 1;
+  }
+
+  /* ── Formatting ─────────────────────────────────────────── */
+  function esc(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  // "f/8 · 1/250s · ISO 64 · 38mm (30mm eq.)"
+  function fmtExposure(p) {
+    const parts = [];
+    if (p.aperture)     parts.push(`f/${p.aperture}`);
+    if (p.shutterSpeed) parts.push(`${p.shutterSpeed}s`);
+    if (p.iso)          parts.push(`ISO ${p.iso}`);
+    if (p.focalLength) {
+      const eq = p.focalLength35 && p.focalLength35 !== p.focalLength ? ` (${p.focalLength35}mm eq.)` : '';
+      parts.push(`${p.focalLength}mm${eq}`);
+    }
+    return parts.join(' · ');
+  }
+  function fmtDate(d) {
+    try {
+      return new Date(d + 'T00:00:00').toLocaleDateString('en-US', {
+        year: 'numeric', month: 'long', day: 'numeric'
+      });
+    } catch { return d; }
+  }
+  function srcsetOf(photo, format) {
+    const list = photo.derivatives?.[format];
+    if (!Array.isArray(list) || !list.length) return '';
+    return list.map(d => `${d.src} ${d.width}w`).join(', ');
+  }
+  function largestOf(photo, format) {
+    const list = photo.derivatives?.[format];
+    if (!Array.isArray(list) || !list.length) return '';
+    return list.reduce((a, b) => (b.width > a.width ? b : a)).src;
+  }
+
+  globalThis.LehtoreRender = {
+    CARD_SIZES, GALLERY_PAGE, pictureHTML, placeholderStyle, cardHTML, sortPhotos, byOrder,
+    esc, fmtExposure, fmtDate, srcsetOf, largestOf,
+  };
+})();
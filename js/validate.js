@@ -0,0 +1,157 @@
+'use strict';
+
+/* ============================================================
+   LEHTORE — Data Validation
+   Shared by admin.js (before publishing) and scripts/validate.js
+   (in CI). Checks photos.json and site-config.json against the
+   JSON Schemas in schemas/, then the rules a schema can't express:
+   unique ids, album references and — when an `exists` callback is
+   given — that every referenced file is present.
+
+   Only the schema keywords used in schemas/ are understood.
+   Loaded as a classic script in the browser and imported for its
+   side effect in Node; both see globalThis.LehtoreSchema.
+   ============================================================ */
+
+(() => {
+  /* ── Schema keywords ────────────────────────────────────── */
+  function typeOf(value) {
+    if (value === null)          return 'null';
+    if (Array.isArray(value))    return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  // YYYY-MM-DD that is also a real calendar day
+  function isDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const d = new Date(`${value}T00:00:00Z`);
+    return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+  }
+
+  // RFC 3339 timestamp, e.g. 2026-01-09T18:30:00Z
+  function isDateTime(value) {
+    return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+           isDate(value.slice(0, 10)) && !isNaN(new Date(value));
+  }
+
+  function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+  }
+
+  // Returns [ 'path: message' ] for every violation of `schema` in `value`
+  function check(value, schema, root, path, errors) {
+    if (schema.$ref) return check(value, resolveRef(root, schema.$ref), root, path, errors);
+    const fail = msg => errors.push(`${path || '(root)'}: ${msg}`);
+
+    if (schema.anyOf) {
+      const ok = schema.anyOf.some(sub => check(value, sub, root, path, []).length === 0);
+      if (!ok) fail(schema.description || 'does not match any allowed form');
+      return errors;
+    }
+    if ('const' in schema && value !== schema.const) { fail(`must be ${JSON.stringify(schema.const)}`); return errors; }
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+      return errors;
+    }
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(t => matchesType(value, t))) {
+        fail(`must be ${types.join(' or ')} (got ${typeOf(value)})`);
+        return errors;
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) fail('must not be empty');
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern} (got "${value}")`);
+      if (schema.format === 'date' && !isDate(value)) fail(`must be an ISO date, YYYY-MM-DD (got "${value}")`);
+      if (schema.format === 'date-time' && !isDateTime(value)) fail(`must be an ISO timestamp (got "${value}")`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be ≥ ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be ≤ ${schema.maximum}`);
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (Array.isArray(value)) {
+      if (schema.items) value.forEach((item, i) => check(item, schema.items, root, `${path}[${i}]`, errors));
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+      if (schema.uniqueItems) {
+        const seen = value.map(v => JSON.stringify(v));
+        if (new Set(seen).size !== seen.length) fail('must not contain duplicates');
+      }
+    }
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach(key => { if (!(key in value)) fail(`missing required "${key}"`); });
+      const props = schema.properties || {};
+      for (const [key, sub] of Object.entries(value)) {
+        const at = path ? `${path}.${key}` : key;
+        if (props[key]) check(sub, props[key], root, at, errors);
+        else if (schema.additionalProperties === false) errors.push(`${at}: is not allowed`);
+      }
+    }
+    return errors;
+  }
+
+  function validate(value, schema) {
+    return check(value, schema, schema, '', []);
+  }
+
+  /* ── photos.json ────────────────────────────────────────── */
+  // `exists(path)` is optional; without it file references aren't checked.
+  // A missing upload (photos/uploads/…) isn't fatal — originals can be kept
+  // out of the repo — so it goes into `warnings` when that array is given;
+  // a missing generated file (public copy, thumbnail, derivative) is an error.
+  const UPLOADS_DIR = 'photos/uploads/';
+
+  function validatePhotos(data, schema, { exists, warnings } = {}) {
+    const errors = validate(data, schema);
+    if (!Array.isArray(data?.photos)) return errors;
+
+    const ids = new Set();
+    data.photos.forEach((photo, i) => {
+      if (!photo || typeof photo.id !== 'string') return;
+      if (ids.has(photo.id)) errors.push(`photos[${i}].id: duplicate id "${photo.id}"`);
+      ids.add(photo.id);
+
+      if (!exists) return;
+      const paths = [
+        ['src', photo.src], ['thumb', photo.thumb], ['original', photo.original],
+        ...Object.entries(photo.derivatives || {}).flatMap(([fmt, list]) =>
+          (Array.isArray(list) ? list : []).map((d, j) => [`derivatives.${fmt}[${j}].src`, d?.src])),
+      ];
+      paths.forEach(([field, path]) => {
+        if (typeof path !== 'string' || /^https?:\/\//.test(path) || exists(path)) return;
+        const problem = `photos[${i}].${field}: file not found (${path})`;
+        if (!path.startsWith(UPLOADS_DIR)) errors.push(problem);
+        else warnings?.push(problem);
+      });
+    });
+
+    const slugs = new Set();
+    (Array.isArray(data.albums) ? data.albums : []).forEach((album, i) => {
+      if (!album) return;
+      if (slugs.has(album.slug)) errors.push(`albums[${i}].slug: duplicate slug "${album.slug}"`);
+      slugs.add(album.slug);
+      (Array.isArray(album.photos) ? album.photos : []).forEach((id, j) => {
+        if (!ids.has(id)) errors.push(`albums[${i}].photos[${j}]: unknown photo "${id}"`);
+      });
+      if (album.cover && !ids.has(album.cover)) errors.push(`albums[${i}].cover: unknown photo "${album.cover}"`);
+    });
+
+    return errors;
+  }
+
+  /* ── site-config.json ───────────────────────────────────── */
+  function validateSiteConfig(config, schema) {
+    return validate(config, schema);
+  }
+
+  globalThis.LehtoreSchema = { validate, validatePhotos, validateSiteConfig };
+})();
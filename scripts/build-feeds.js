@@ -0,0 +1,144 @@
+/**
+ * LEHTORE — Feed Builder
+ *
+ * Writes an Atom feed (feed.xml) and a JSON Feed (feed.json) of the most
+ * recently published photos. Entries are keyed by each photo's share page
+ * URL (p/<id>/, see build-pages.js), so they stay stable across rebuilds.
+ *
+ * Photos are ordered by `published` (set by process-photos.js when a photo is
+ * first seen), falling back to the capture date for older entries; photos
+ * with neither are left out, as are photos not yet given a title in admin
+ * (fresh from the processor). An entry's `updated` is its last edit in admin
+ * (`updated`, stamped on publish), else its `published` time.
+ *
+ * Run after photos.json or site-config.json change (CI does this).
+ *
+ * Usage:  node scripts/build-feeds.js [--dry-run]
+ */
+
+import { writeFileSync, statSync } from 'fs';
+import { extname } from 'path';
+import { loadSite, absUrl, photoPagePath, describePhoto } from './lib/site.js';
+
+const ATOM_FEED  = 'feed.xml';
+const JSON_FEED  = 'feed.json';
+const FEED_LIMIT = 30;
+const DRY_RUN    = process.argv.includes('--dry-run');
+const IMAGE_MIME = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.avif': 'image/avif' };
+
+const { esc } = globalThis.LehtoreRender;
+const site = loadSite();
+
+/* ── Helpers ───────────────────────────────────────────────────────────────── */
+function isoTime(at) {
+  return at ? new Date(at).toISOString().replace(/\.\d+Z$/, 'Z') : null;
+}
+
+function publishedAt(photo) {
+  return isoTime(photo.published || (photo.date && `${photo.date}T00:00:00Z`));
+}
+
+// { url, type, length } for the thumbnail; length is omitted for remote files
+function enclosureOf(photo) {
+  const path = photo.thumb || photo.src;
+  let length = null;
+  if (!/^https?:\/\//.test(path)) {
+    try { length = statSync(path).size; } catch { /* not on disk (e.g. dry run elsewhere) */ }
+  }
+  return {
+    url:    absUrl(site.siteUrl, path),
+    type:   IMAGE_MIME[extname(path).toLowerCase()] || 'image/jpeg',
+    length,
+  };
+}
+
+function contentHTML(photo, enclosure) {
+  return [
+    `<p><img src="${esc(enclosure.url)}" alt="${esc(photo.title)}"></p>`,
+    photo.description ? `<p>${esc(photo.description)}</p>` : '',
+    photo.location    ? `<p>${esc(photo.location)}</p>`    : '',
+  ].join('');
+}
+
+function writeFile(path, content) {
+  if (DRY_RUN) return;
+  writeFileSync(path, content, 'utf8');
+}
+
+/* ── Entries ───────────────────────────────────────────────────────────────── */
+const entries = site.photos
+  .map(photo => ({ photo, published: publishedAt(photo) }))
+  .filter(e => e.published && e.photo.title)
+  .sort((a, b) => b.published.localeCompare(a.published))
+  .slice(0, FEED_LIMIT)
+  .map(({ photo, published }) => ({
+    photo,
+    published,
+    updated:   isoTime(photo.updated) || published,
+    url:       absUrl(site.siteUrl, photoPagePath(photo)),
+    title:     photo.title,
+    summary:   describePhoto(photo),
+    terms:     [photo.category, ...(photo.tags || [])].filter(Boolean),
+    enclosure: enclosureOf(photo),
+  }));
+
+const updated  = entries.map(e => e.updated).sort().pop() || '1970-01-01T00:00:00Z';
+const homeUrl  = absUrl(site.siteUrl, '');
+const subtitle = site.config.heroEyebrow || 'Photography';
+
+/* ── feed.xml (Atom) ───────────────────────────────────────────────────────── */
+const atom = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${esc(site.siteName)}</title>
+  <subtitle>${esc(subtitle)}</subtitle>
+  <link rel="alternate" type="text/html" href="${esc(homeUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${esc(absUrl(site.siteUrl, ATOM_FEED))}"/>
+  <id>${esc(homeUrl)}</id>
+  <updated>${updated}</updated>
+  <author><name>${esc(site.siteName)}</name></author>
+${entries.map(e => `  <entry>
+    <title>${esc(e.title)}</title>
+    <id>${esc(e.url)}</id>
+    <link rel="alternate" type="text/html" href="${esc(e.url)}"/>
+    <link rel="enclosure" type="${e.enclosure.type}" href="${esc(e.enclosure.url)}"${e.enclosure.length ? ` length="${e.enclosure.length}"` : ''}/>
+    <published>${e.published}</published>
+    <updated>${e.updated}</updated>
+    <summary>${esc(e.summary)}</summary>
+    <content type="html">${esc(contentHTML(e.photo, e.enclosure))}</content>
+${e.terms.map(t => `    <category term="${esc(t)}"/>`).join('\n')}
+  </entry>`).join('\n')}
+</feed>
+`;
+
+/* ── feed.json (JSON Feed 1.1) ─────────────────────────────────────────────── */
+const json = {
+  version:       'https://jsonfeed.org/version/1.1',
+  title:         site.siteName,
+  description:   subtitle,
+  home_page_url: homeUrl,
+  feed_url:      absUrl(site.siteUrl, JSON_FEED),
+  authors:       [{ name: site.siteName, url: homeUrl }],
+  language:      'en',
+  items: entries.map(e => ({
+    id:             e.url,
+    url:            e.url,
+    title:          e.title,
+    summary:        e.summary,
+    content_html:   contentHTML(e.photo, e.enclosure),
+    image:          e.enclosure.url,
+    date_published: e.published,
+    date_modified:  e.updated,
+    tags:           e.terms,
+    attachments:    [{
+      url:       e.enclosure.url,
+      mime_type: e.enclosure.type,
+      ...(e.enclosure.length ? { size_in_bytes: e.enclosure.length } : {}),
+    }],
+  })),
+};
+
+writeFile(ATOM_FEED, atom);
+writeFile(JSON_FEED, JSON.stringify(json, null, 2) + '\n');
+
+const would = DRY_RUN ? 'would be ' : '';
+console.log(`✅  ${ATOM_FEED} and ${JSON_FEED} ${would}written with ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`);
@@ -0,0 +1,211 @@
+/**
+ * LEHTORE — Static Page Builder
+ *
+ * Pre-renders the first page of the default gallery view into index.html
+ * (between the `prerender:*` markers) and writes a share page per photo to
+ * p/<id>/ with Open Graph, Twitter card and JSON-LD ImageObject metadata, so
+ * crawlers and link unfurlers see real content. gallery.js hydrates the
+ * baked-in cards instead of rebuilding them. Card markup comes from js/render.js, the same
+ * code the browser uses.
+ *
+ * Run after photos.json or site-config.json change (CI does this).
+ *
+ * Usage:  node scripts/build-pages.js [--dry-run]
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { loadSite, absUrl, photoPagePath, previewImageOf, describePhoto, replaceBetween } from './lib/site.js';
+
+const INDEX_HTML = 'index.html';
+const PAGES_DIR  = 'p';
+const PAGE_SIZES = '(max-width: 1200px) 100vw, 1200px';
+const DRY_RUN    = process.argv.includes('--dry-run');
+
+const { GALLERY_PAGE, esc, cardHTML, pictureHTML, fmtDate, fmtExposure } = globalThis.LehtoreRender;
+const site = loadSite();
+
+/* ── Helpers ───────────────────────────────────────────────────────────────── */
+// Safe to embed inside <script type="application/ld+json">
+function jsonLd(obj) {
+  return JSON.stringify(obj, null, 2).replace(/</g, '\\u003c');
+}
+
+function metaTags(tags) {
+  return tags
+    .filter(([, , content]) => content !== undefined && content !== null && content !== '')
+    .map(([attr, name, content]) => `<meta ${attr}="${name}" content="${esc(content)}">`);
+}
+
+function writeFile(path, content) {
+  if (DRY_RUN) return;
+  writeFileSync(path, content, 'utf8');
+}
+
+/* ── index.html ────────────────────────────────────────────────────────────── */
+function buildIndex() {
+  let html = readFileSync(INDEX_HTML, 'utf8');
+  const lead    = site.photos.find(p => p.featured) || site.photos[0];
+  const preview = lead && previewImageOf(lead);
+
+  const meta = metaTags([
+    ['property', 'og:url',          site.siteUrl && `${site.siteUrl}/`],
+    ['property', 'og:site_name',    site.siteName],
+    ['property', 'og:image',        preview && absUrl(site.siteUrl, preview.src)],
+    ['property', 'og:image:width',  preview?.width],
+    ['property', 'og:image:height', preview?.height],
+    ['name',     'twitter:card',    preview ? 'summary_large_image' : 'summary'],
+    ['name',     'twitter:image',   preview && absUrl(site.siteUrl, preview.src)],
+  ]);
+  if (site.siteUrl) meta.unshift(`<link rel="canonical" href="${esc(site.siteUrl)}/">`);
+  html = replaceBetween(html, 'prerender:meta', meta.map(t => `  ${t}`).join('\n'));
+
+  // gallery.js adds the rest as the visitor scrolls; crawlers find every photo
+  // through its share page (and sitemap.xml)
+  const cards = site.photos.slice(0, GALLERY_PAGE).map((photo, i) => cardHTML(photo, i)).join('');
+  html = replaceBetween(html, 'prerender:gallery', site.photos.length
+    ? `  <main id="gallery" aria-label="Photo gallery" data-prerendered>${cards}\n  </main>`
+    : `  <main id="gallery" aria-label="Photo gallery">\n    <!-- Populated by gallery.js -->\n  </main>`);
+
+  writeFile(INDEX_HTML, html);
+}
+
+/* ── p/<id>/index.html ─────────────────────────────────────────────────────── */
+function sharePage(photo) {
+  const title    = photo.title || 'Untitled';
+  const desc     = describePhoto(photo);
+  const pageUrl  = absUrl(site.siteUrl, photoPagePath(photo));
+  const preview  = previewImageOf(photo);
+  const imageUrl = absUrl(site.siteUrl, preview.src);
+  const exposure = fmtExposure(photo);
+
+  const meta = metaTags([
+    ['name',     'description',     desc],
+    ['property', 'og:type',         'article'],
+    ['property', 'og:site_name',    site.siteName],
+    ['property', 'og:title',        title],
+    ['property', 'og:description',  desc],
+    ['property', 'og:url',          site.siteUrl && pageUrl],
+    ['property', 'og:image',        imageUrl],
+    ['property', 'og:image:width',  preview.width],
+    ['property', 'og:image:height', preview.height],
+    ['property', 'og:image:alt',    title],
+    ['name',     'twitter:card',    'summary_large_image'],
+    ['name',     'twitter:title',   title],
+    ['name',     'twitter:description', desc],
+    ['name',     'twitter:image',   imageUrl],
+  ]);
+
+  const ld = {
+    '@context':    'https://schema.org',
+    '@type':       'ImageObject',
+    name:          title,
+    description:   desc,
+    url:           pageUrl,
+    contentUrl:    absUrl(site.siteUrl, photo.src),
+    thumbnailUrl:  absUrl(site.siteUrl, photo.thumb || photo.src),
+    width:         photo.width  || undefined,
+    height:        photo.height || undefined,
+    dateCreated:   photo.date   || undefined,
+    keywords:      (photo.tags || []).join(', ') || undefined,
+    contentLocation: photo.location ? { '@type': 'Place', name: photo.location } : undefined,
+    creator:       { '@type': 'Person', name: site.siteName },
+    copyrightHolder: { '@type': 'Person', name: site.siteName },
+    exifData: [
+      ['Camera',   photo.camera],
+      ['Lens',     photo.lens],
+      ['Exposure', exposure],
+    ].filter(([, value]) => value).map(([name, value]) => ({ '@type': 'PropertyValue', name, value })),
+  };
+  if (!ld.exifData.length) delete ld.exifData;
+
+  const details = [
+    ['Date',     photo.date && fmtDate(photo.date)],
+    ['Camera',   photo.camera],
+    ['Lens',     photo.lens],
+    ['Exposure', exposure],
+    ['Category', photo.category],
+  ].filter(([, value]) => value);
+
+  // <base> points at the site root so photos.json paths work unchanged
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <base href="../../">
+  <title>${esc(title)} — ${esc(site.siteName)}</title>
+  ${site.siteUrl ? `<link rel="canonical" href="${esc(pageUrl)}">\n  ` : ''}${meta.join('\n  ')}
+  <script type="application/ld+json">
+${jsonLd(ld)}
+  </script>
+
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link href="https://fonts.googleapis.com/css2?family=Syne:wght@400;500;600;700;800&family=Inter:ital,wght@0,300;0,400;0,500;1,300&display=swap" rel="stylesheet">
+  <link rel="alternate" type="application/atom+xml" title="${esc(site.siteName)} — New photos" href="feed.xml">
+  <link rel="alternate" type="application/feed+json" title="${esc(site.siteName)} — New photos" href="feed.json">
+  <link rel="stylesheet" href="css/style.css">
+</head>
+<body>
+
+  <header>
+    <a href="./" class="logo">${esc(site.siteName)}</a>
+    <nav>
+      <a href="./#gallery">Photos</a>
+      <a href="./#/albums">Albums</a>
+    </nav>
+  </header>
+
+  <main class="share-page">
+    <figure class="share-figure">
+      ${pictureHTML(photo, title, PAGE_SIZES)}
+    </figure>
+    <div class="share-info">
+      <h1 class="share-title">${esc(title)}</h1>
+      ${photo.location ? `<p class="share-location">${esc(photo.location)}</p>` : ''}
+      ${details.length ? `<dl class="share-meta">
+        ${details.map(([label, value]) => `<div><dt>${label}</dt><dd>${esc(value)}</dd></div>`).join('\n        ')}
+      </dl>` : ''}
+      ${photo.description ? `<p class="share-desc">${esc(photo.description)}</p>` : ''}
+      ${(photo.tags || []).length ? `<div class="share-tags">${photo.tags.map(t => `<span class="lb-tag">${esc(t)}</span>`).join('')}</div>` : ''}
+      <a class="share-link" href="./#${encodeURIComponent(photo.id)}">View in gallery &#8594;</a>
+    </div>
+  </main>
+
+  <footer>
+    <span class="footer-wordmark">${esc(site.siteName)}</span>
+    <span class="footer-copy">&copy; ${new Date().getFullYear()} All rights reserved</span>
+  </footer>
+</body>
+</html>
+`;
+}
+
+function buildSharePages() {
+  const ids = new Set(site.photos.map(p => p.id));
+  if (!DRY_RUN) mkdirSync(PAGES_DIR, { recursive: true });
+
+  for (const photo of site.photos) {
+    const dir = `${PAGES_DIR}/${photo.id}`;
+    if (!DRY_RUN) mkdirSync(dir, { recursive: true });
+    writeFile(`${dir}/index.html`, sharePage(photo));
+  }
+
+  // Pages of photos that no longer exist
+  const stale = existsSync(PAGES_DIR)
+    ? readdirSync(PAGES_DIR).filter(name => !name.startsWith('.') && !ids.has(name))
+    : [];
+  for (const name of stale) {
+    if (!DRY_RUN) rmSync(`${PAGES_DIR}/${name}`, { recursive: true, force: true });
+    console.log(`  🗑  Removed ${PAGES_DIR}/${name}/`);
+  }
+  return stale.length;
+}
+
+/* ── Run ───────────────────────────────────────────────────────────────────── */
+buildIndex();
+const removed = buildSharePages();
+
+const would = DRY_RUN ? 'would be ' : '';
+console.log(`✅  index.html ${would}pre-rendered with ${Math.min(GALLERY_PAGE, site.photos.length)} photo(s); ` +
+            `${site.photos.length} share page(s) ${would}written, ${removed} ${would}removed.`);
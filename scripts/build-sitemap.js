@@ -0,0 +1,80 @@
+/**
+ * LEHTORE — Sitemap Builder
+ *
+ * Writes sitemap.xml — the home page plus every photo's share page (p/<id>/,
+ * see build-pages.js), each with Google image sitemap entries — and a
+ * robots.txt that points crawlers at it and away from the admin panel.
+ *
+ * Sitemaps need absolute URLs, so site-config.json must set `siteUrl`.
+ *
+ * Run after photos.json or site-config.json change (CI does this).
+ *
+ * Usage:  node scripts/build-sitemap.js [--dry-run]
+ */
+
+import { writeFileSync } from 'fs';
+import { loadSite, absUrl, photoPagePath } from './lib/site.js';
+
+const SITEMAP_XML = 'sitemap.xml';
+const ROBOTS_TXT  = 'robots.txt';
+const DRY_RUN     = process.argv.includes('--dry-run');
+
+const { esc } = globalThis.LehtoreRender;
+const site = loadSite();
+
+if (!site.siteUrl) {
+  console.error(`✗  ${SITEMAP_XML} needs absolute URLs — set siteUrl in site-config.json.`);
+  process.exit(1);
+}
+
+/* ── Helpers ───────────────────────────────────────────────────────────────── */
+function lastModOf(photo) {
+  return (photo.published || photo.date || '').slice(0, 10);
+}
+
+// Only image:loc — Google dropped support for image:title, image:caption and
+// image:geo_location
+function imageXML(photo) {
+  return `    <image:image>
+      <image:loc>${esc(absUrl(site.siteUrl, photo.src))}</image:loc>
+    </image:image>`;
+}
+
+function urlXML(loc, lastmod, photos) {
+  return `  <url>
+    <loc>${esc(loc)}</loc>
+${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ''}${photos.map(imageXML).join('\n')}
+  </url>`;
+}
+
+function writeFile(path, content) {
+  if (DRY_RUN) return;
+  writeFileSync(path, content, 'utf8');
+}
+
+/* ── sitemap.xml ───────────────────────────────────────────────────────────── */
+const newest = site.photos.map(lastModOf).filter(Boolean).sort().pop();
+const urls   = [
+  urlXML(`${site.siteUrl}/`, newest, site.photos),
+  ...site.photos.map(photo => urlXML(absUrl(site.siteUrl, photoPagePath(photo)), lastModOf(photo), [photo])),
+];
+
+writeFile(SITEMAP_XML, `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${urls.join('\n')}
+</urlset>
+`);
+
+/* ── robots.txt ────────────────────────────────────────────────────────────── */
+// Crawlers only read robots.txt at the origin root; on a project-path site
+// (e.g. user.github.io/repo) this copy is informational
+const basePath = new URL(`${site.siteUrl}/`).pathname;
+writeFile(ROBOTS_TXT, `User-agent: *
+Disallow: ${basePath}admin.html
+
+Sitemap: ${site.siteUrl}/${SITEMAP_XML}
+`);
+
+const would = DRY_RUN ? 'would be ' : '';
+console.log(`✅  ${SITEMAP_XML} ${would}written with ${urls.length} URL(s); ${ROBOTS_TXT} ${would}written.`);
@@ -0,0 +1,269 @@
+/**
+ * LEHTORE — Local Dev Server
+ *
+ * Serves the site from the working tree and stands in for the slice of the
+ * GitHub API that admin.js talks to, so the whole upload → process → publish
+ * loop can be exercised offline. Point the admin panel at it by entering
+ * `http://localhost:8080/api` as the API base in the setup form (any
+ * owner, repo and token are accepted).
+ *
+ * The API writes to the working tree unauthenticated, so the server only
+ * listens on 127.0.0.1 and only answers API calls from its own pages: no
+ * CORS headers, and requests carrying another Origin (or a Host other than
+ * localhost, as DNS rebinding would send) are refused.
+ *
+ *   GET   /api/repos/:owner/:repo/contents/:path       read a file
+ *   PUT   /api/repos/:owner/:repo/contents/:path       write a file (uploads)
+ *   GET   /api/repos/:owner/:repo/git/ref/heads/:b     current head
+ *   GET   /api/repos/:owner/:repo/git/commits/:sha
+ *   GET   /api/repos/:owner/:repo/git/trees/:sha       (recursive listing)
+ *   POST  /api/repos/:owner/:repo/git/trees            stage a tree
+ *   POST  /api/repos/:owner/:repo/git/commits          stage a commit
+ *   PATCH /api/repos/:owner/:repo/git/refs/heads/:b    apply it to the tree
+ *
+ * "Commits" are applied straight to the working tree — nothing is committed
+ * to git. The head sha is derived from the tree's file sizes and mtimes, so
+ * edits made on disk (or by the processor) make a stale publish fail the
+ * fast-forward check just like a concurrent push would on GitHub.
+ *
+ * Usage:  node scripts/dev-server.js [flags]
+ *
+ *   --port <n>   Listen on port n (default 8080)
+ *   --process    Run the photo processor after each upload to photos/uploads/
+ */
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { execFile } from 'child_process';
+import { readFile, writeFile, unlink, mkdir, readdir, stat } from 'fs/promises';
+import { join, dirname, extname, resolve, relative, sep } from 'path';
+
+const ROOT        = process.cwd();
+const API_PREFIX  = '/api/repos/';
+const IGNORED     = new Set(['.git', 'node_modules']);
+const UPLOADS_DIR = 'photos/uploads/';
+const MIME_TYPES  = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.xml':  'application/xml; charset=utf-8',
+  '.txt':  'text/plain; charset=utf-8',
+  '.svg':  'image/svg+xml',
+  '.ico':  'image/x-icon',
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.woff2': 'font/woff2',
+};
+
+const args     = process.argv.slice(2);
+const portArg  = args.indexOf('--port');
+const PORT     = portArg !== -1 ? Number(args[portArg + 1]) : 8080;
+const HOST     = '127.0.0.1';
+const LOCAL_HOSTS = new Set([`localhost:${PORT}`, `127.0.0.1:${PORT}`]);
+const PROCESS  = args.includes('--process');
+
+// Staged by POST git/trees and git/commits, consumed by PATCH git/refs
+const trees   = new Map();   // sha → { entries: [ { path, content? , sha? } ] }
+const commits = new Map();   // sha → { tree, parents, message }
+
+/* ── Helpers ──────────────────────────────────────────────────────────────── */
+class HttpError extends Error {
+  constructor(status, message) { super(message); this.status = status; }
+}
+
+// Resolve a repo-relative path, refusing anything outside the working tree
+function repoPath(path) {
+  const full = resolve(ROOT, decodeURIComponent(path).replace(/^\/+/, ''));
+  const rel  = relative(ROOT, full);
+  if (rel.startsWith('..') || rel.split(sep).some(part => IGNORED.has(part))) {
+    throw new HttpError(404, 'Not Found');
+  }
+  return full;
+}
+
+// Same id GitHub reports for a file's contents, so admin.js's sha checks hold
+function blobSha(buf) {
+  return createHash('sha1').update(`blob ${buf.length}\0`).update(buf).digest('hex');
+}
+
+async function listTree(dir = ROOT) {
+  const out = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (IGNORED.has(entry.name)) continue;
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...await listTree(full));
+    else if (entry.isFile()) out.push({ path: relative(ROOT, full).split(sep).join('/'), ...await stat(full) });
+  }
+  return out;
+}
+
+async function currentHead() {
+  const files = await listTree();
+  const hash  = createHash('sha1');
+  files.sort((a, b) => a.path.localeCompare(b.path))
+       .forEach(f => hash.update(`${f.path} ${f.size} ${f.mtimeMs}\n`));
+  return hash.digest('hex');
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8');
+  try { return text ? JSON.parse(text) : {}; }
+  catch { throw new HttpError(400, 'Problems parsing JSON'); }
+}
+
+function send(res, status, body, type = MIME_TYPES['.json']) {
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Cache-Control': 'no-store',
+  });
+  res.end(type === MIME_TYPES['.json'] ? JSON.stringify(body) : body);
+}
+
+// Uploads are processed one run at a time, in the order they arrive
+let processing = Promise.resolve();
+function queueProcessor() {
+  processing = processing.then(() => new Promise(done => {
+    console.log('  ↻  Running photo processor…');
+    execFile(process.execPath, ['scripts/process-photos.js', '--reprocess'], { cwd: ROOT }, (err, stdout, stderr) => {
+      process.stdout.write(stdout);
+      if (err) console.error(`  ✗  Processor failed:\n${stderr}`);
+      done();
+    });
+  }));
+}
+
+/* ── API ──────────────────────────────────────────────────────────────────── */
+// Only this server's own pages may call the API (see the header)
+function checkLocal(req) {
+  const { host, origin } = req.headers;
+  if (!LOCAL_HOSTS.has(host) || (origin && !LOCAL_HOSTS.has(origin.replace(/^http:\/\//, '')))) {
+    throw new HttpError(403, 'The dev server API only answers its own pages');
+  }
+}
+
+async function handleApi(req, res, url) {
+  checkLocal(req);
+  // /api/repos/:owner/:repo/<rest> — owner and repo are accepted as given
+  const rest   = url.pathname.slice(API_PREFIX.length).split('/').slice(2).join('/');
+  const method = req.method;
+  let m;
+
+  if ((m = rest.match(/^contents\/(.+)$/))) {
+    const file = repoPath(m[1]);
+    if (method === 'GET') {
+      const buf = await readFile(file).catch(() => { throw new HttpError(404, 'Not Found'); });
+      return send(res, 200, {
+        path: m[1], sha: blobSha(buf), size: buf.length, encoding: 'base64', content: buf.toString('base64'),
+      });
+    }
+    if (method === 'PUT') {
+      const { content, message } = await readBody(req);
+      if (typeof content !== 'string') throw new HttpError(422, 'content is required');
+      const buf = Buffer.from(content, 'base64');
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(file, buf);
+      console.log(`  ↑  ${m[1]}${message ? ` — ${message}` : ''}`);
+      if (PROCESS && m[1].startsWith(UPLOADS_DIR)) queueProcessor();
+      return send(res, 201, { content: { path: m[1], sha: blobSha(buf) }, commit: { sha: await currentHead() } });
+    }
+  }
+
+  if (method === 'GET' && /^git\/ref\/heads\/[^/]+$/.test(rest)) {
+    return send(res, 200, { ref: `refs/${rest.slice(8)}`, object: { type: 'commit', sha: await currentHead() } });
+  }
+
+  if (method === 'GET' && (m = rest.match(/^git\/commits\/([0-9a-f]+)$/))) {
+    // The working tree is its own (only) commit; its tree shares the sha
+    const staged = commits.get(m[1]);
+    if (staged) return send(res, 200, { sha: m[1], tree: { sha: staged.tree }, parents: staged.parents.map(sha => ({ sha })) });
+    if (m[1] !== await currentHead()) throw new HttpError(404, 'Not Found');
+    return send(res, 200, { sha: m[1], tree: { sha: m[1] }, parents: [] });
+  }
+
+  if (method === 'GET' && /^git\/trees\/[0-9a-f]+$/.test(rest)) {
+    const files = await listTree();
+    return send(res, 200, {
+      sha: await currentHead(),
+      tree: files.map(f => ({ path: f.path, mode: '100644', type: 'blob', size: f.size })),
+      truncated: false,
+    });
+  }
+
+  if (method === 'POST' && rest === 'git/trees') {
+    const { tree = [] } = await readBody(req);
+    const entries = tree.map(e => {
+      if (e.content !== undefined) return { path: e.path, content: e.content, sha: blobSha(Buffer.from(e.content, 'utf8')) };
+      if (e.sha === null)          return { path: e.path, sha: null };
+      throw new HttpError(422, `Only inline content and deletions are supported (${e.path})`);
+    });
+    const sha = createHash('sha1').update(JSON.stringify(entries)).digest('hex');
+    trees.set(sha, { entries });
+    return send(res, 201, { sha, tree: entries.filter(e => e.sha).map(e => ({ path: e.path, type: 'blob', sha: e.sha })) });
+  }
+
+  if (method === 'POST' && rest === 'git/commits') {
+    const { message = '', tree, parents = [] } = await readBody(req);
+    if (!trees.has(tree)) throw new HttpError(422, 'Tree not found');
+    const sha = createHash('sha1').update(`${tree}\n${parents.join(',')}\n${message}\n${Date.now()}`).digest('hex');
+    commits.set(sha, { tree, parents, message });
+    return send(res, 201, { sha, tree: { sha: tree }, parents: parents.map(p => ({ sha: p })), message });
+  }
+
+  if (method === 'PATCH' && /^git\/refs\/heads\/[^/]+$/.test(rest)) {
+    const { sha } = await readBody(req);
+    const commit  = commits.get(sha);
+    if (!commit) throw new HttpError(422, 'Object does not exist');
+    if (commit.parents[0] !== await currentHead()) throw new HttpError(422, 'Update is not a fast forward');
+
+    const { entries } = trees.get(commit.tree);
+    for (const e of entries) {
+      const file = repoPath(e.path);
+      if (e.content !== undefined) {
+        await mkdir(dirname(file), { recursive: true });
+        await writeFile(file, e.content, 'utf8');
+      } else {
+        await unlink(file).catch(() => {});
+      }
+    }
+    commits.delete(sha);
+    console.log(`  ✓  ${commit.message.split('\n')[0]} (${entries.length} path(s))`);
+    return send(res, 200, { ref: `refs/${rest.slice(9)}`, object: { type: 'commit', sha: await currentHead() } });
+  }
+
+  throw new HttpError(404, 'Not Found');
+}
+
+/* ── Static files ─────────────────────────────────────────────────────────── */
+async function handleStatic(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'Method Not Allowed');
+  let file = repoPath(url.pathname);
+  const info = await stat(file).catch(() => null);
+  if (info?.isDirectory()) file = join(file, 'index.html');
+  const buf = await readFile(file).catch(() => { throw new HttpError(404, 'Not Found'); });
+  send(res, 200, req.method === 'HEAD' ? '' : buf, MIME_TYPES[extname(file).toLowerCase()] || 'application/octet-stream');
+}
+
+/* ── Server ───────────────────────────────────────────────────────────────── */
+createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  try {
+    if (url.pathname.startsWith(API_PREFIX)) await handleApi(req, res, url);
+    else await handleStatic(req, res, url);
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error(err);
+    if (url.pathname.startsWith(API_PREFIX)) send(res, status, { message: err.message });
+    else send(res, status, err.message, 'text/plain; charset=utf-8');
+  }
+}).listen(PORT, HOST, () => {
+  console.log(`LEHTORE dev server — http://localhost:${PORT}/`);
+  console.log(`  Admin API base: http://localhost:${PORT}/api`);
+  if (PROCESS) console.log('  Uploads to photos/uploads/ are processed automatically.');
+});
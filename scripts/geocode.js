@@ -0,0 +1,26 @@
+/**
+ * LEHTORE — Geocoder
+ *
+ * Fills in coarse map coordinates (`coords`) in photos.json from each photo's
+ * `location` text using the offline gazetteer — see lib/geocode.js. The photo
+ * processor does the same after uploads; this covers locations typed in
+ * admin, which are published without running the processor.
+ *
+ * Run after photos.json changes (CI does this before building pages).
+ *
+ * Usage:  node scripts/geocode.js [--dry-run]
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { geocodePhotos } from './lib/geocode.js';
+import { PHOTOS_JSON } from './lib/site.js';
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const data     = JSON.parse(readFileSync(PHOTOS_JSON, 'utf8'));
+const geocoded = geocodePhotos(Array.isArray(data.photos) ? data.photos : [], { dryRun: DRY_RUN });
+
+if (geocoded && !DRY_RUN) writeFileSync(PHOTOS_JSON, JSON.stringify(data, null, 2) + '\n', 'utf8');
+
+const would = DRY_RUN ? 'would be ' : '';
+console.log(`✅  ${geocoded} photo(s) ${would}geocoded.`);
@@ -0,0 +1,55 @@
+/**
+ * Coarse map coordinates (`coords`) from each photo's `location` text, using
+ * the offline gazetteer in data/gazetteer.json — never from GPS. Shared by
+ * process-photos.js (after uploads) and geocode.js (after admin publishes,
+ * which change locations without running the processor).
+ */
+
+import '../../js/geo.js';
+import { readFileSync, existsSync } from 'fs';
+
+export const GAZETTEER_JSON = 'data/gazetteer.json';
+
+// New `coords` for an entry: an object to set, null to remove, undefined to
+// leave alone. Only touches coordinates geocoded earlier (they carry `from`)
+// or missing ones, and redoes them when the location text has changed.
+function geocodedCoords(entry, gazetteer) {
+  const location = (entry.location || '').trim();
+  if (entry.coords && entry.coords.from === undefined) return undefined;   // set by hand
+  if (entry.coords && entry.coords.from === location)  return undefined;
+  const place = location ? gazetteer.lookup(location) : null;
+  if (!place) return entry.coords ? null : undefined;
+  return { lat: place.lat, lon: place.lon, from: location };
+}
+
+// Updates `photos` in place (unless dryRun) and returns how many changed.
+// Coordinates set by hand in admin are left alone.
+export function geocodePhotos(photos, { dryRun = false } = {}) {
+  if (!existsSync(GAZETTEER_JSON)) {
+    console.warn(`⚠  ${GAZETTEER_JSON} not found — skipping map coordinates.`);
+    return 0;
+  }
+  const gazetteer = globalThis.LehtoreGeo.createGazetteer(JSON.parse(readFileSync(GAZETTEER_JSON, 'utf8')));
+  const unplaced  = new Set();
+  let geocoded = 0;
+
+  for (const entry of photos) {
+    const coords = geocodedCoords(entry, gazetteer);
+    if (coords === undefined) {
+      if (entry.location && !entry.coords) unplaced.add(entry.location.trim());
+      continue;
+    }
+    geocoded++;
+    console.log(coords
+      ? `  ⌖ ${entry.id}: ${coords.from} → ${coords.lat}, ${coords.lon}`
+      : `  ⌖ ${entry.id}: "${entry.location || ''}" not in the gazetteer — coordinates removed`);
+    if (dryRun) continue;
+    if (coords) entry.coords = coords;
+    else delete entry.coords;
+  }
+  if (unplaced.size) {
+    console.log(`\n  No gazetteer match for: ${[...unplaced].join('; ')}`);
+    console.log('    Set coordinates for these in admin to put them on the map.');
+  }
+  return geocoded;
+}
@@ -0,0 +1,72 @@
+/**
+ * Helpers shared by the static build scripts: loading the site data in
+ * gallery order and turning repository paths into public URLs.
+ */
+
+import '../../js/render.js';
+import { readFileSync } from 'fs';
+
+export const PHOTOS_JSON = 'photos.json';
+export const CONFIG_JSON = 'site-config.json';
+
+const { sortPhotos, fmtDate } = globalThis.LehtoreRender;
+
+function readJson(path, fallback) {
+  try { return JSON.parse(readFileSync(path, 'utf8')); }
+  catch { return fallback; }
+}
+
+// { config, siteUrl, photos (default gallery order), albums }
+export function loadSite() {
+  const config = readJson(CONFIG_JSON, {});
+  const data   = readJson(PHOTOS_JSON, {});
+  if (!config.siteUrl) {
+    console.warn(`⚠  No siteUrl in ${CONFIG_JSON} — generated links will be relative.`);
+  }
+  return {
+    config,
+    siteName: config.siteName || 'LEHTORE',
+    siteUrl:  (config.siteUrl || '').replace(/\/+$/, ''),
+    photos:   sortPhotos(Array.isArray(data.photos) ? data.photos : []),
+    albums:   Array.isArray(data.albums) ? data.albums : [],
+  };
+}
+
+// Repository path → absolute URL (external URLs pass through)
+export function absUrl(siteUrl, path = '') {
+  if (/^https?:\/\//.test(path)) return path;
+  return `${siteUrl}/${path.replace(/^\/+/, '')}`;
+}
+
+export function photoPagePath(photo) {
+  return `p/${encodeURIComponent(photo.id)}/`;
+}
+
+// Best image for link previews: a ~1600px JPEG if one was generated, else
+// the thumbnail. Returns { src, width, height } (dimensions may be unknown).
+export function previewImageOf(photo) {
+  const jpegs  = (photo.derivatives?.jpeg || []).slice().sort((a, b) => a.width - b.width);
+  const pick   = jpegs.find(d => d.width >= 1600) || jpegs[jpegs.length - 1];
+  const ratio  = photo.width && photo.height ? photo.height / photo.width : null;
+  if (pick) return { src: pick.src, width: pick.width, height: ratio ? Math.round(pick.width * ratio) : null };
+  return { src: photo.thumb || photo.src, width: null, height: null };
+}
+
+// The caption, or a one-liner built from the metadata:
+// "Marina City — Chicago, USA. January 9, 2026 · Hasselblad X2D II."
+export function describePhoto(photo) {
+  if (photo.description) return photo.description;
+  const where = [photo.title || 'Untitled', photo.location].filter(Boolean).join(' — ');
+  const when  = [photo.date && fmtDate(photo.date), photo.camera].filter(Boolean).join(' · ');
+  return when ? `${where}. ${when}.` : `${where}.`;
+}
+
+// Replaces everything between <!-- name --> and <!-- /name --> markers
+export function replaceBetween(html, name, content) {
+  const start = `<!-- ${name} -->`;
+  const end   = `<!-- /${name} -->`;
+  const i = html.indexOf(start);
+  const j = html.indexOf(end, i);
+  if (i === -1 || j === -1) throw new Error(`Missing ${start} … ${end} markers`);
+  return `${html.slice(0, i + start.length)}\n${content}\n  ${html.slice(j)}`;
+}
@@ -0,0 +1,73 @@
+/**
+ * Lossless removal of EXIF GPS data from JPEG files. The GPS IFD and every
+ * value it points to are zeroed and its entry is dropped from IFD0; the image
+ * data and all other metadata stay byte for byte as they were. Used by
+ * process-photos.js on the originals in photos/uploads/, which are committed
+ * and served with the site.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+
+const GPS_IFD_TAG = 0x8825;
+const TYPE_SIZES  = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Offset of the TIFF header in the JPEG's Exif APP1 segment, or -1 if none
+function exifOffset(buf) {
+  if (buf.length < 4 || buf.readUInt16BE(0) !== 0xFFD8) return -1;
+  let pos = 2;
+  while (pos + 4 <= buf.length && buf[pos] === 0xFF) {
+    const marker = buf[pos + 1];
+    if (marker === 0xDA || marker === 0xD9) break;   // image data from here on
+    if (marker === 0xE1 && buf.toString('latin1', pos + 4, pos + 10) === 'Exif\0\0') return pos + 10;
+    pos += 2 + buf.readUInt16BE(pos + 2);
+  }
+  return -1;
+}
+
+// Removes the GPS data from a JPEG buffer in place. Returns whether it had any.
+// Throws a RangeError on offsets that point outside the file.
+export function stripGps(buf) {
+  const tiff = exifOffset(buf);
+  if (tiff < 0) return false;
+  const le  = buf.toString('latin1', tiff, tiff + 2) === 'II';
+  const u16 = at => le ? buf.readUInt16LE(at) : buf.readUInt16BE(at);
+  const u32 = at => le ? buf.readUInt32LE(at) : buf.readUInt32BE(at);
+
+  const ifd0  = tiff + u32(tiff + 4);
+  const count = u16(ifd0);
+  let index = -1;
+  for (let i = 0; i < count && index < 0; i++) {
+    if (u16(ifd0 + 2 + i * 12) === GPS_IFD_TAG) index = i;
+  }
+  if (index < 0) return false;
+
+  // Values too big for their entry live elsewhere in the segment: zero those,
+  // then the GPS IFD itself
+  const gps      = tiff + u32(ifd0 + 2 + index * 12 + 8);
+  const gpsCount = u16(gps);
+  for (let i = 0; i < gpsCount; i++) {
+    const entry = gps + 2 + i * 12;
+    const size  = (TYPE_SIZES[u16(entry + 2)] || 1) * u32(entry + 4);
+    if (size <= 4) continue;
+    const start = tiff + u32(entry + 8);
+    if (start + size > buf.length) throw new RangeError('GPS value outside the file');
+    buf.fill(0, start, start + size);
+  }
+  buf.fill(0, gps, gps + 2 + gpsCount * 12 + 4);
+
+  // Drop the pointer from IFD0: later entries and the next-IFD offset move up
+  const entries = ifd0 + 2;
+  buf.copy(buf, entries + index * 12, entries + (index + 1) * 12, entries + count * 12 + 4);
+  buf.fill(0, entries + (count - 1) * 12 + 4, entries + count * 12 + 4);
+  if (le) buf.writeUInt16LE(count - 1, ifd0);
+  else    buf.writeUInt16BE(count - 1, ifd0);
+  return true;
+}
+
+// Strips the GPS data from the JPEG at `path`, rewriting it only when it had any
+export function stripGpsFile(path) {
+  const buf = readFileSync(path);
+  if (!stripGps(buf)) return false;
+  writeFileSync(path, buf);
+  return true;
+}
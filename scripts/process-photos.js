@@ -2,23 +2,106 @@
  * LEHTORE — Photo Processor
  *
  * Run by GitHub Actions when new photos are pushed to photos/uploads/.
- * Generates thumbnails with Sharp and stubs photos.json metadata from EXIF.
+ * Generates thumbnails, a responsive ladder of AVIF/WebP/JPEG derivatives and a
+ * sanitized public copy of each original (GPS, serials and owner fields
+ * stripped) with Sharp, and stubs photos.json metadata (camera, lens and
+ * exposure settings) from EXIF.
  *
- * Usage (locally or in CI):  node scripts/process-photos.js
+ * Each entry also gets a `placeholder` — a tiny blurred WebP as a data: URI —
+ * and its dominant `color`, which the gallery paints while the image loads,
+ * plus a `palette` of up to five colors for browsing by color.
+ *
+ * Also fills in coarse map coordinates (`coords`) from each photo's `location`
+ * text using the offline gazetteer in data/gazetteer.json — never from GPS
+ * (see lib/geocode.js). Coordinates set by hand in admin are left alone.
+ *
+ * The originals in photos/uploads/ are committed and served with the site
+ * too, so GPS data is stripped from JPEG originals in place, losslessly (see
+ * lib/strip-gps.js); other originals that carry it are reported. Exits
+ * non-zero if any generated file still carries location data.
+ *
+ * Usage (locally or in CI):  node scripts/process-photos.js [flags]
+ *
+ *   --reprocess  Regenerate thumbnails/derivatives for known photos whose
+ *                original changed (content hash differs from `sourceHash`)
+ *   --force      With --reprocess, regenerate every known photo regardless
+ *                of hash (e.g. after changing THUMB_WIDTH or DERIV_WIDTHS)
+ *   --prune      Remove photos.json entries whose original is gone from
+ *                photos/uploads/, plus thumbnails/derivatives nobody uses
+ *   --dry-run    Report what would change without writing anything
  */
 
 import sharp      from 'sharp';
 import exifr      from 'exifr';
-import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, readdirSync, existsSync, mkdirSync, unlinkSync } from 'fs';
 import { join, basename, extname } from 'path';
+import { geocodePhotos } from './lib/geocode.js';
+import { stripGpsFile } from './lib/strip-gps.js';
 
 const ORIGINALS_DIR  = 'photos/uploads';
 const THUMBS_DIR     = 'photos/thumbs';
+const PUBLIC_DIR     = 'photos/public';
+const PUBLIC_QUALITY = 95;            // JPEG quality of the sanitized original
 const PHOTOS_JSON    = 'photos.json';
+const CONFIG_JSON    = 'processing.json';
 const THUMB_WIDTH    = 1200;          // px, height auto
 const THUMB_QUALITY  = 88;            // JPEG quality
+const PLACEHOLDER_WIDTH   = 16;       // px; blurred up in the browser
+const PLACEHOLDER_QUALITY = 40;       // WebP quality
+const PALETTE_SIZE   = 5;             // colors per photo, at most
+const PALETTE_SAMPLE = 64;            // px; longest side of the copy that's quantized
+const DERIV_DIR      = 'photos/derivatives';
+const DERIV_WIDTHS   = [400, 800, 1600, 2400];   // px, responsive ladder
+const DERIV_FORMATS  = {                         // format → Sharp options
+  avif: { quality: 55 },
+  webp: { quality: 78 },
+  jpeg: { quality: 82, mozjpeg: true },
+};
+const DERIV_EXTS     = { avif: 'avif', webp: 'webp', jpeg: 'jpg' };
+const GENERATED_DIRS = [THUMBS_DIR, DERIV_DIR, PUBLIC_DIR];
 const IMAGE_EXTS     = new Set(['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.heic', '.heif', '.webp']);
 
+// EXIF tags that may be carried over to the public copy, keyed by exifr name →
+// [libvips IFD, libexif name]. GPS, serial number and owner tags are
+// deliberately absent, so no allowlist can ever republish them.
+const EXIF_WRITABLE = {
+  Make:                    ['IFD0', 'Make'],
+  Model:                   ['IFD0', 'Model'],
+  Software:                ['IFD0', 'Software'],
+  Artist:                  ['IFD0', 'Artist'],
+  Copyright:               ['IFD0', 'Copyright'],
+  ImageDescription:        ['IFD0', 'ImageDescription'],
+  DateTimeOriginal:        ['IFD2', 'DateTimeOriginal'],
+  CreateDate:              ['IFD2', 'DateTimeDigitized'],
+  ExposureTime:            ['IFD2', 'ExposureTime'],
+  FNumber:                 ['IFD2', 'FNumber'],
+  ExposureProgram:         ['IFD2', 'ExposureProgram'],
+  ExposureCompensation:    ['IFD2', 'ExposureBiasValue'],
+  ISO:                     ['IFD2', 'ISOSpeedRatings'],
+  MeteringMode:            ['IFD2', 'MeteringMode'],
+  Flash:                   ['IFD2', 'Flash'],
+  FocalLength:             ['IFD2', 'FocalLength'],
+  FocalLengthIn35mmFormat: ['IFD2', 'FocalLengthIn35mmFilm'],
+  WhiteBalance:            ['IFD2', 'WhiteBalance'],
+  LensMake:                ['IFD2', 'LensMake'],
+  LensModel:               ['IFD2', 'LensModel'],
+};
+const EXIF_RATIONAL  = new Set(['ExposureTime', 'FNumber', 'ExposureCompensation', 'FocalLength']);
+const DEFAULT_CONFIG = {
+  publicExif: {
+    keep: ['Make', 'Model', 'DateTimeOriginal', 'ExposureTime', 'FNumber', 'ISO',
+           'FocalLength', 'FocalLengthIn35mmFormat', 'LensMake', 'LensModel',
+           'Artist', 'Copyright'],
+  },
+};
+
+const args       = new Set(process.argv.slice(2));
+const REPROCESS  = args.has('--reprocess');
+const FORCE      = args.has('--force');
+const PRUNE      = args.has('--prune');
+const DRY_RUN    = args.has('--dry-run');
+
 /* ── Helpers ───────────────────────────────────────────────────────────────── */
 function slugify(name) {
   return name
@@ -37,6 +120,230 @@ function formatDate(d) {
   return `${d.getFullYear()}-${padded(d.getMonth() + 1)}-${padded(d.getDate())}`;
 }
 
+function hashFile(path) {
+  return createHash('sha256').update(readFileSync(path)).digest('hex');
+}
+
+function isExternal(path) {
+  return typeof path === 'string' && /^https?:\/\//.test(path);
+}
+
+// Every generated file an entry points at (public copy, thumbnail, derivatives)
+function generatedPaths(entry) {
+  const paths = [];
+  if (entry.src && entry.src.startsWith(`${PUBLIC_DIR}/`)) paths.push(entry.src);
+  if (entry.thumb && !isExternal(entry.thumb)) paths.push(entry.thumb);
+  for (const list of Object.values(entry.derivatives || {})) {
+    for (const d of list) if (d.src && !isExternal(d.src)) paths.push(d.src);
+  }
+  return paths;
+}
+
+// Deletes a generated file, refusing anything outside the generated dirs
+function removeGenerated(path) {
+  if (!GENERATED_DIRS.some(dir => path.startsWith(`${dir}/`))) return false;
+  if (!existsSync(path)) return false;
+  if (!DRY_RUN) unlinkSync(path);
+  return true;
+}
+
+function loadConfig() {
+  if (!existsSync(CONFIG_JSON)) return DEFAULT_CONFIG;
+  try {
+    const cfg = JSON.parse(readFileSync(CONFIG_JSON, 'utf8'));
+    return { ...DEFAULT_CONFIG, ...cfg, publicExif: { ...DEFAULT_CONFIG.publicExif, ...cfg.publicExif } };
+  } catch (err) {
+    console.warn(`⚠  Could not parse ${CONFIG_JSON}, using defaults:`, err.message);
+    return DEFAULT_CONFIG;
+  }
+}
+
+// libvips takes EXIF values as strings; rationals as "num/den"
+function exifString(tag, value) {
+  if (typeof value !== 'number') return String(value);
+  if (!EXIF_RATIONAL.has(tag)) return String(Math.round(value));
+  if (Number.isInteger(value)) return `${value}/1`;
+  const inverse = Math.round(1 / Math.abs(value));
+  if (Math.abs(value) < 1 && Math.abs(1 / inverse - Math.abs(value)) < Math.abs(value) * 0.01) {
+    return `${value < 0 ? '-' : ''}1/${inverse}`;
+  }
+  return `${Math.round(value * 1000000)}/1000000`;
+}
+
+// Re-encodes the original without any metadata except the allowlisted tags
+// (and the ICC profile), baking in EXIF orientation. Returns the public path.
+async function writePublicCopy(srcPath, id) {
+  const raw = await exifr.parse(srcPath, {
+    ifd0: true, exif: true, gps: false, interop: false, ifd1: false,
+    translateValues: false, reviveValues: false,
+  }).catch(() => null) || {};
+
+  const exif = {};
+  for (const tag of config.publicExif.keep) {
+    if (raw[tag] == null || typeof raw[tag] === 'object') continue;
+    const [ifd, name] = EXIF_WRITABLE[tag];
+    exif[ifd] = { ...exif[ifd], [name]: exifString(tag, raw[tag]) };
+  }
+
+  const publicPath = `${PUBLIC_DIR}/${id}.jpg`;
+  await sharp(srcPath)
+    .rotate()
+    .keepIccProfile()
+    .withExif(exif)
+    .jpeg({ quality: PUBLIC_QUALITY, chromaSubsampling: '4:4:4' })
+    .toFile(publicPath);
+  console.log(`    ✓ Public copy → ${publicPath} (${Object.values(exif).flatMap(Object.keys).length} EXIF tags kept)`);
+  return publicPath;
+}
+
+async function hasLocation(path) {
+  const gps = await exifr.gps(path).catch(() => null);
+  return !!gps && (gps.latitude != null || gps.longitude != null);
+}
+
+// Paths of published files that still carry GPS coordinates
+async function filesWithLocation(paths) {
+  const leaks = [];
+  for (const path of paths) {
+    if (existsSync(path) && await hasLocation(path)) leaks.push(path);
+  }
+  return leaks;
+}
+
+async function readExif(srcPath) {
+  try {
+    return await exifr.parse(srcPath, {
+      pick: ['DateTimeOriginal', 'Make', 'Model', 'LensModel', 'FNumber', 'ExposureTime',
+             'ISO', 'FocalLength', 'FocalLengthIn35mmFormat', 'GPSLatitude', 'GPSLongitude'],
+    }) || {};
+  } catch (exifErr) {
+    console.log(`    ⚠  EXIF read failed: ${exifErr.message}`);
+    return {};
+  }
+}
+
+// "1/250" below one second, "2.5" (seconds) above
+function formatShutter(seconds) {
+  if (!seconds) return '';
+  if (seconds >= 1) return String(+seconds.toFixed(1));
+  return `1/${Math.round(1 / seconds)}`;
+}
+
+function round1(n) {
+  return n ? +Number(n).toFixed(1) : null;
+}
+
+// Exposure fields stored per entry; numbers are null when EXIF lacks them
+function exposureFrom(exif) {
+  return {
+    lens:          exif.LensModel || '',
+    aperture:      round1(exif.FNumber),
+    shutterSpeed:  formatShutter(exif.ExposureTime),
+    iso:           exif.ISO || null,
+    focalLength:   round1(exif.FocalLength),
+    focalLength35: exif.FocalLengthIn35mmFormat || null,
+  };
+}
+
+// Fills exposure fields an entry doesn't have yet, leaving admin edits alone
+function fillExposure(entry, exposure) {
+  for (const [key, value] of Object.entries(exposure)) {
+    if (entry[key] == null || entry[key] === '') entry[key] = value;
+  }
+}
+
+// { width, height } as displayed, from Sharp's metadata: EXIF orientations
+// 5–8 turn the stored image a quarter, so the two swap. {} when Sharp can't
+// tell — the schema only allows positive dimensions, and readers treat
+// missing ones as unknown.
+function dimensionsOf(meta) {
+  if (!meta.width || !meta.height) return {};
+  return meta.orientation >= 5
+    ? { width: meta.height, height: meta.width }
+    : { width: meta.width, height: meta.height };
+}
+
+async function writeThumb(srcPath, id) {
+  const thumbPath = `${THUMBS_DIR}/${id}.jpg`;
+  await sharp(srcPath)
+    .rotate()
+    .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+    .jpeg({ quality: THUMB_QUALITY, mozjpeg: true })
+    .toFile(thumbPath);
+  console.log(`    ✓ Thumbnail → ${thumbPath}`);
+  return thumbPath;
+}
+
+// { placeholder, color }: a PLACEHOLDER_WIDTH-wide WebP data: URI, and the
+// dominant color as #rrggbb. Oriented like the thumbnail.
+async function placeholderFor(srcPath) {
+  const small = await sharp(srcPath)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH, withoutEnlargement: true })
+    .webp({ quality: PLACEHOLDER_QUALITY })
+    .toBuffer();
+  const { dominant } = await sharp(srcPath).stats();
+  const hex = [dominant.r, dominant.g, dominant.b].map(n => n.toString(16).padStart(2, '0')).join('');
+  return { placeholder: `data:image/webp;base64,${small.toString('base64')}`, color: `#${hex}` };
+}
+
+// Up to PALETTE_SIZE colors as #rrggbb, most of the picture first: Sharp's
+// palette PNG (libimagequant) reduces a small copy, then each color's pixels
+// are counted. Near-duplicates are already merged by the quantizer.
+async function paletteFor(srcPath) {
+  const reduced = await sharp(srcPath)
+    .rotate()
+    .resize({ width: PALETTE_SAMPLE, height: PALETTE_SAMPLE, fit: 'inside' })
+    .png({ palette: true, colours: PALETTE_SIZE, dither: 0 })
+    .toBuffer();
+  const { data, info } = await sharp(reduced).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const counts = new Map();
+  for (let i = 0; i < data.length; i += info.channels) {
+    const hex = `#${[data[i], data[i + 1], data[i + 2]].map(n => n.toString(16).padStart(2, '0')).join('')}`;
+    counts.set(hex, (counts.get(hex) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1]).slice(0, PALETTE_SIZE).map(([hex]) => hex);
+}
+
+// Widths from the ladder that fit the original, plus the original width itself
+// when it falls short of the largest rung (never upscale).
+function ladderFor(originalWidth) {
+  if (!originalWidth) return [DERIV_WIDTHS[0]];
+  const widths = DERIV_WIDTHS.filter(w => w < originalWidth);
+  if (originalWidth <= DERIV_WIDTHS[DERIV_WIDTHS.length - 1]) widths.push(originalWidth);
+  return widths;
+}
+
+// Writes every width × format combination for one original and returns the
+// `derivatives` object stored in photos.json: { avif: [{ width, src }], … }.
+// originalWidth is the displayed width (see dimensionsOf).
+async function writeDerivatives(srcPath, id, originalWidth) {
+  const derivatives = {};
+  for (const [format, options] of Object.entries(DERIV_FORMATS)) {
+    derivatives[format] = [];
+    for (const width of ladderFor(originalWidth)) {
+      const outPath = `${DERIV_DIR}/${id}-${width}.${DERIV_EXTS[format]}`;
+      await sharp(srcPath)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toFile(outPath);
+      derivatives[format].push({ width, src: outPath });
+    }
+  }
+  const count = Object.values(derivatives).reduce((n, list) => n + list.length, 0);
+  console.log(`    ✓ Derivatives → ${DERIV_DIR}/${id}-* (${count} files)`);
+  return derivatives;
+}
+
+/* ── Load processing config ────────────────────────────────────────────────── */
+const config = loadConfig();
+const unknownTags = config.publicExif.keep.filter(tag => !EXIF_WRITABLE[tag]);
+if (unknownTags.length) {
+  console.warn(`⚠  ${CONFIG_JSON}: cannot keep ${unknownTags.join(', ')} — not an allowed public EXIF tag.`);
+  config.publicExif.keep = config.publicExif.keep.filter(tag => EXIF_WRITABLE[tag]);
+}
+
 /* ── Load existing photos.json ─────────────────────────────────────────────── */
 let photosData = { photos: [] };
 if (existsSync(PHOTOS_JSON)) {
@@ -51,72 +358,160 @@ if (existsSync(PHOTOS_JSON)) {
 const knownIds = new Set(photosData.photos.map(p => p.id));
 
 /* ── Ensure directories exist ──────────────────────────────────────────────── */
-[ORIGINALS_DIR, THUMBS_DIR].forEach(dir => {
+[ORIGINALS_DIR, ...GENERATED_DIRS].forEach(dir => {
   if (!existsSync(dir)) {
     mkdirSync(dir, { recursive: true });
     console.log(`  Created ${dir}/`);
   }
 });
 
+if (DRY_RUN) console.log('Dry run — nothing will be written.\n');
+
 /* ── Scan originals ────────────────────────────────────────────────────────── */
 const files = readdirSync(ORIGINALS_DIR).filter(f => {
   const ext = extname(f).toLowerCase();
   return IMAGE_EXTS.has(ext) && !f.startsWith('.');
 });
 
-if (files.length === 0) {
+if (files.length === 0 && !PRUNE) {
   console.log('No image files found in photos/uploads/. Nothing to do.');
   process.exit(0);
 }
 
-let processed = 0;
-let skipped   = 0;
+/* ── Id collisions ─────────────────────────────────────────────────────────── */
+// Uploads that slugify to the same id (a.jpg and a.png) would take turns at
+// one entry. The one it was made from — else the first — is used; the others
+// are skipped until renamed.
+const byId = new Map();
+for (const filename of files) {
+  const id = slugify(basename(filename));
+  byId.set(id, [...(byId.get(id) || []), filename]);
+}
+const collisions = [];
+for (const [id, names] of byId) {
+  if (names.length < 2) continue;
+  const original = photosData.photos.find(p => p.id === id)?.original;
+  const keep     = names.find(name => `${ORIGINALS_DIR}/${name}` === original) || names[0];
+  collisions.push(...names.filter(name => name !== keep));
+  console.warn(`⚠  ${names.join(', ')} all map to id "${id}" — using ${keep}; rename the others.`);
+}
+
+/* ── Strip GPS from originals ──────────────────────────────────────────────── */
+// Before anything is generated or hashed, so the recorded sourceHash is the
+// sanitized file's
+let stripped = 0;
+for (const filename of files) {
+  const srcPath = join(ORIGINALS_DIR, filename);
+  if (!/\.jpe?g$/i.test(filename) || !await hasLocation(srcPath)) continue;
+  try {
+    if (!DRY_RUN) stripGpsFile(srcPath);
+    console.log(`  ⌫ GPS data ${DRY_RUN ? 'would be ' : ''}stripped from ${srcPath}`);
+    stripped++;
+  } catch (err) {
+    console.error(`  ✗ Failed to strip GPS data from ${srcPath}:`, err.message);
+  }
+}
+
+let processed   = 0;
+let skipped     = 0;
+let backfilled  = 0;
+let reprocessed = 0;
 const newEntries = [];
 
 /* ── Process each file ─────────────────────────────────────────────────────── */
-for (const filename of files) {
-  const id = slugify(basename(filename));
+for (const filename of files.filter(name => !collisions.includes(name))) {
+  const id      = slugify(basename(filename));
+  const srcPath = join(ORIGINALS_DIR, filename);
 
   if (knownIds.has(id)) {
-    skipped++;
+    const known = photosData.photos.find(p => p.id === id);
+
+    const hash    = REPROCESS ? hashFile(srcPath) : null;
+    const changed = REPROCESS && (FORCE || hash !== known.sourceHash);
+
+    if (changed) {
+      /* ── Regenerate derivatives, keep edited metadata ─────────────────────── */
+      console.log(`\n  Reprocessing: ${filename}${FORCE ? ' (forced)' : ' (source changed)'}`);
+      if (DRY_RUN) { reprocessed++; continue; }
+      try {
+        const meta     = await sharp(srcPath).metadata();
+        const previous = generatedPaths(known);
+        known.original    = known.original || `${ORIGINALS_DIR}/${filename}`;
+        known.src         = await writePublicCopy(srcPath, id);
+        known.thumb       = await writeThumb(srcPath, id);
+        known.derivatives = await writeDerivatives(srcPath, id, dimensionsOf(meta).width);
+        Object.assign(known, await placeholderFor(srcPath));
+        known.palette     = await paletteFor(srcPath);
+        const size        = dimensionsOf(meta);
+        if (!size.width) { delete known.width; delete known.height; }   // the old ones no longer apply
+        Object.assign(known, size);
+        known.sourceHash  = hash;
+        fillExposure(known, exposureFrom(await readExif(srcPath)));
+        const current = new Set(generatedPaths(known));
+        previous.filter(p => !current.has(p)).forEach(removeGenerated);
+        reprocessed++;
+      } catch (err) {
+        console.error(`    ✗ Failed to reprocess ${filename}:`, err.message);
+      }
+      continue;
+    }
+
+    const needsPublic      = !isExternal(known.src) && !known.src?.startsWith(`${PUBLIC_DIR}/`);
+    const needsDerivatives = !known.derivatives;
+    const needsExposure    = !('shutterSpeed' in known);
+    const needsPlaceholder = !known.placeholder;
+    const needsPalette     = !known.palette;
+    if (!needsPublic && !needsDerivatives && !needsExposure && !needsPlaceholder && !needsPalette) {
+      skipped++;
+      continue;
+    }
+
+    // Entries published before the derivative ladder / public copies / placeholders / palettes existed
+    console.log(`\n  Backfilling ${[needsPublic && 'public copy', needsDerivatives && 'derivatives',
+      needsExposure && 'exposure', needsPlaceholder && 'placeholder', needsPalette && 'palette']
+      .filter(Boolean).join(' + ')}: ${filename}`);
+    if (DRY_RUN) { backfilled++; continue; }
+    try {
+      if (needsPublic) {
+        known.original = known.original || `${ORIGINALS_DIR}/${filename}`;
+        known.src      = await writePublicCopy(srcPath, id);
+      }
+      if (needsDerivatives) {
+        const meta = await sharp(srcPath).metadata();
+        known.derivatives = await writeDerivatives(srcPath, id, dimensionsOf(meta).width);
+      }
+      if (needsExposure) fillExposure(known, exposureFrom(await readExif(srcPath)));
+      if (needsPlaceholder) Object.assign(known, await placeholderFor(srcPath));
+      if (needsPalette)     known.palette = await paletteFor(srcPath);
+      // Only --reprocess may move the hash on: set here, it would mark an
+      // upload replaced since as done, with derivatives of the old file
+      if (!known.sourceHash) known.sourceHash = hash || hashFile(srcPath);
+      backfilled++;
+    } catch (err) {
+      console.error(`    ✗ Failed to backfill ${filename}:`, err.message);
+    }
     continue;
   }
 
-  const srcPath   = join(ORIGINALS_DIR, filename);
-  const thumbName = `${id}.jpg`;
-  const thumbPath = join(THUMBS_DIR, thumbName);
-
   console.log(`\n  Processing: ${filename}`);
+  if (DRY_RUN) { processed++; continue; }
 
   try {
-    /* ── Sharp: generate thumbnail ──────────────────────────────────────────── */
-    const image = sharp(srcPath);
-    const meta  = await image.metadata();
-
-    await image
-      .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
-      .jpeg({ quality: THUMB_QUALITY, mozjpeg: true })
-      .toFile(thumbPath);
-
-    console.log(`    ✓ Thumbnail → ${thumbPath}`);
+    /* ── Sharp: generate thumbnail + derivatives ────────────────────────────── */
+    const meta        = await sharp(srcPath).metadata();
+    const src         = await writePublicCopy(srcPath, id);
+    const thumb       = await writeThumb(srcPath, id);
+    const derivatives = await writeDerivatives(srcPath, id, dimensionsOf(meta).width);
+    const { placeholder, color } = await placeholderFor(srcPath);
+    const palette     = await paletteFor(srcPath);
 
     /* ── EXIF extraction ──────────────────────────────────────────────────────── */
-    let exif = {};
-    try {
-      exif = await exifr.parse(srcPath, {
-        pick: ['DateTimeOriginal', 'Make', 'Model', 'FNumber', 'ExposureTime',
-               'ISOSpeedRatings', 'FocalLength', 'GPSLatitude', 'GPSLongitude'],
-      }) || {};
-    } catch (exifErr) {
-      console.log(`    ⚠  EXIF read failed: ${exifErr.message}`);
-    }
+    const exif = await readExif(srcPath);
 
-    /* ── GPS privacy warning ────────────────────────────────────────────────── */
+    /* ── GPS privacy note ───────────────────────────────────────────────────── */
     if (exif.GPSLatitude != null || exif.GPSLongitude != null) {
-      console.log(`    ⚠  GPS data detected in ${filename}!`);
-      console.log(`       Lat: ${exif.GPSLatitude}, Lon: ${exif.GPSLongitude}`);
-      console.log(`       This will NOT be stored in photos.json, but the original file`);
-      console.log(`       still contains GPS tags. Strip with: exiftool -gps:all= "${srcPath}"`);
+      console.log(`    ⚠  GPS data in ${filename} — stripped from the public copy,`);
+      console.log(`       but the original in ${ORIGINALS_DIR}/ still contains it (see below).`);
     }
 
     const make    = exif.Make  || '';
@@ -127,8 +522,13 @@ for (const filename of files) {
     /* ── Build stub entry ───────────────────────────────────────────────────── */
     const entry = {
       id,
-      src:         `photos/uploads/${filename}`,
-      thumb:       `photos/thumbs/${thumbName}`,
+      src,
+      original:    `${ORIGINALS_DIR}/${filename}`,
+      thumb,
+      derivatives,
+      placeholder,
+      color,
+      palette,
       title:       '',
       description: '',
       location:    '',
@@ -136,9 +536,11 @@ for (const filename of files) {
       category:    'Uncategorized',
       tags:        [],
       camera,
-      width:       meta.width  || 0,
-      height:      meta.height || 0,
+      ...exposureFrom(exif),
+      ...dimensionsOf(meta),
       featured:    false,
+      published:   new Date().toISOString().replace(/\.\d+Z$/, 'Z'),   // first seen; drives the feeds
+      sourceHash:  hashFile(srcPath),
     };
 
     newEntries.push(entry);
@@ -150,19 +552,106 @@ for (const filename of files) {
   }
 }
 
+photosData.photos = [...photosData.photos, ...newEntries];
+
+/* ── Prune orphans ─────────────────────────────────────────────────────────── */
+const pruned      = [];
+const prunedFiles = [];
+
+if (PRUNE) {
+  const originalIds = new Set(files.map(f => slugify(basename(f))));
+
+  // Entries whose original is gone (externally hosted photos are left alone)
+  photosData.photos = photosData.photos.filter(entry => {
+    if (isExternal(entry.src) || originalIds.has(entry.id)) return true;
+    pruned.push(entry.id);
+    for (const path of generatedPaths(entry)) {
+      if (removeGenerated(path)) prunedFiles.push(path);
+    }
+    return false;
+  });
+
+  // Albums must not point at pruned photos
+  if (Array.isArray(photosData.albums) && pruned.length) {
+    photosData.albums = photosData.albums.map(album => ({
+      ...album,
+      photos: (album.photos || []).filter(id => !pruned.includes(id)),
+      cover:  pruned.includes(album.cover) ? null : album.cover,
+    }));
+  }
+
+  // Generated files no remaining entry references
+  const referenced = new Set(photosData.photos.flatMap(generatedPaths));
+  for (const dir of GENERATED_DIRS) {
+    for (const name of readdirSync(dir)) {
+      const path = `${dir}/${name}`;
+      if (name.startsWith('.') || referenced.has(path) || prunedFiles.includes(path)) continue;
+      if (removeGenerated(path)) prunedFiles.push(path);
+    }
+  }
+
+  const verb = DRY_RUN ? 'Would remove' : 'Removed';
+  console.log(`\n  Prune: ${verb} ${pruned.length} entr${pruned.length === 1 ? 'y' : 'ies'}, ${prunedFiles.length} file(s).`);
+  pruned.forEach(id => console.log(`    − entry ${id}`));
+  prunedFiles.forEach(path => console.log(`    − ${path}`));
+}
+
+/* ── Coarse coordinates from the gazetteer ─────────────────────────────────── */
+const geocoded = geocodePhotos(photosData.photos, { dryRun: DRY_RUN });
+
 /* ── Write updated photos.json ─────────────────────────────────────────────── */
-if (newEntries.length > 0) {
-  photosData.photos = [...photosData.photos, ...newEntries];
+const changed = newEntries.length + backfilled + reprocessed + pruned.length + geocoded;
+
+if (DRY_RUN) {
+  console.log('\n✅  Dry run complete — photos.json and generated files untouched.');
+} else if (changed > 0) {
   writeFileSync(PHOTOS_JSON, JSON.stringify(photosData, null, 2) + '\n', 'utf8');
-  console.log(`\n✅  photos.json updated — ${newEntries.length} new photo(s) added.`);
+  console.log(`\n✅  photos.json updated — ${newEntries.length} new photo(s) added, ` +
+              `${backfilled} backfilled, ${reprocessed} reprocessed, ${pruned.length} pruned, ` +
+              `${geocoded} geocoded.`);
 } else {
   console.log('\n✅  No new photos to add.');
 }
 
-console.log(`\nSummary: ${processed} processed, ${skipped} already known.`);
+/* ── Location-leak check ───────────────────────────────────────────────────── */
+// Originals count as published: they're committed alongside everything else.
+// Only generated files fail the run — an original that couldn't be stripped
+// is reported, and everything made from it is still committed.
+const published = new Set(photosData.photos.flatMap(entry => [
+  ...(entry.src && !isExternal(entry.src) ? [entry.src] : []),
+  ...(entry.original && !isExternal(entry.original) ? [entry.original] : []),
+  ...generatedPaths(entry),
+]));
+for (const dir of [ORIGINALS_DIR, ...GENERATED_DIRS]) {
+  for (const name of readdirSync(dir)) if (!name.startsWith('.')) published.add(`${dir}/${name}`);
+}
+const leaks         = await filesWithLocation([...published]);
+const isOriginal    = path => path.startsWith(`${ORIGINALS_DIR}/`);
+const originalLeaks = leaks.filter(isOriginal);
+const builtLeaks    = leaks.filter(path => !isOriginal(path));
+
+const would = DRY_RUN ? 'would be ' : '';
+console.log(`\nSummary: ${processed} ${would}processed, ${backfilled} ${would}backfilled, ` +
+            `${reprocessed} ${would}reprocessed, ${pruned.length} ${would}pruned, ` +
+            `${geocoded} ${would}geocoded, ${stripped} ${would}stripped of GPS, ${skipped} unchanged, ` +
+            `${collisions.length} skipped (id taken).`);
 if (newEntries.length > 0) {
   console.log('\nNext steps:');
   console.log('  1. Open admin.html on your site');
   console.log('  2. Fill in title, category, tags, and location for each new photo');
   console.log('  3. Click "Publish to GitHub"');
 }
+
+if (originalLeaks.length > 0) {
+  console.warn(`\n⚠  ${originalLeaks.length} original(s) still contain GPS location data:`);
+  originalLeaks.forEach(path => console.warn(`     ${path}`));
+  console.warn('   Only JPEG originals are stripped automatically — strip these by hand');
+  console.warn(`   (e.g. exiftool -gps:all= <file>) and push them to ${ORIGINALS_DIR}/ again.`);
+}
+
+if (builtLeaks.length > 0) {
+  console.error(`\n✗  ${builtLeaks.length} generated file(s) still contain GPS location data:`);
+  builtLeaks.forEach(path => console.error(`     ${path}`));
+  console.error('   Run with --reprocess --force to regenerate sanitized copies.');
+  process.exit(1);
+}
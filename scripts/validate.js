@@ -0,0 +1,55 @@
+/**
+ * LEHTORE — Data Validator
+ *
+ * Checks photos.json and site-config.json against schemas/ plus the rules a
+ * schema can't express (unique ids, album references, referenced files exist).
+ * Originals missing from photos/uploads/ are reported as warnings only.
+ * The same checks run in admin.js before publishing — see js/validate.js.
+ *
+ * Usage (locally or in CI):  node scripts/validate.js
+ *
+ * Exits non-zero if either file is invalid.
+ */
+
+import '../js/validate.js';
+import { readFileSync, existsSync } from 'fs';
+
+const PHOTOS_JSON   = 'photos.json';
+const CONFIG_JSON   = 'site-config.json';
+const PHOTOS_SCHEMA = 'schemas/photos.schema.json';
+const CONFIG_SCHEMA = 'schemas/site-config.schema.json';
+
+const { validatePhotos, validateSiteConfig } = globalThis.LehtoreSchema;
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    console.error(`✗  ${path}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+const warnings = [];
+const results  = [
+  [PHOTOS_JSON, validatePhotos(readJson(PHOTOS_JSON), readJson(PHOTOS_SCHEMA), { exists: existsSync, warnings })],
+  [CONFIG_JSON, validateSiteConfig(readJson(CONFIG_JSON), readJson(CONFIG_SCHEMA))],
+];
+
+if (warnings.length) {
+  console.warn(`⚠  ${PHOTOS_JSON}: ${warnings.length} original(s) not in the repo:`);
+  warnings.forEach(w => console.warn(`     ${w}`));
+}
+
+let failed = 0;
+for (const [file, errors] of results) {
+  if (errors.length === 0) {
+    console.log(`✓  ${file} is valid`);
+    continue;
+  }
+  failed++;
+  console.error(`✗  ${file} has ${errors.length} problem(s):`);
+  errors.forEach(e => console.error(`     ${e}`));
+}
+
+if (failed > 0) process.exit(1);
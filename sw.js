@@ -0,0 +1,160 @@
+'use strict';
+
+/* ============================================================
+   LEHTORE — Service Worker
+   Keeps the gallery usable offline and quick on repeat visits:
+   the shell (page, styles, scripts, basemap) is precached but
+   fetched network-first, so the page never runs against scripts
+   from an older build — the precache is the offline fallback.
+   photos.json and site-config.json are served from cache while
+   a fresh copy is fetched — when that brings a different
+   photos.json, open pages get a `photos-updated` message (see
+   gallery.js). Thumbnails and derivatives are cached as they're
+   viewed, least recently used first out past IMAGE_CACHE_BYTES.
+
+   Registered by gallery.js. Lives at the site root so its scope
+   covers the whole site; paths below are relative to that scope,
+   so a project-path site (user.github.io/repo) works too.
+   ============================================================ */
+
+const VERSION     = 'v1';                  // bump to drop every cache on the next visit
+const SHELL_CACHE = `lehtore-shell-${VERSION}`;
+const DATA_CACHE  = `lehtore-data-${VERSION}`;
+const IMAGE_CACHE = `lehtore-images-${VERSION}`;
+const IMAGE_CACHE_BYTES = 80 * 1024 * 1024;
+const SIZE_HEADER = 'X-Lehtore-Bytes';   // stamped on cached images for trimImages()
+
+const SHELL = [
+  '', 'css/style.css', 'js/render.js', 'js/map.js', 'js/geo.js', 'js/gallery.js',
+  'data/basemap.json', 'manifest.webmanifest', 'icons/icon.svg',
+];
+const DATA       = ['photos.json', 'site-config.json'];
+const IMAGE_DIRS = ['photos/thumbs/', 'photos/derivatives/'];
+
+const scoped = path => new URL(path, self.registration.scope).href;
+
+/* ── Lifecycle ────────────────────────────────────────────── */
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    await (await caches.open(SHELL_CACHE)).addAll(SHELL.map(scoped));
+    await (await caches.open(DATA_CACHE)).addAll(DATA.map(p => new Request(scoped(p), { cache: 'no-store' })));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, DATA_CACHE, IMAGE_CACHE];
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('lehtore-') && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/* ── Routing ──────────────────────────────────────────────── */
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const scope = self.registration.scope;
+  const url   = new URL(request.url);
+  if (!url.href.startsWith(scope)) return;
+  const path  = url.pathname.slice(new URL(scope).pathname.length);
+
+  if (request.mode === 'navigate') {
+    if (path === '' || path === 'index.html') event.respondWith(networkFirst(request, ''));
+    return;
+  }
+  if (path === 'photos.json') {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE, notifyIfChanged));
+  } else if (DATA.includes(path)) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+  } else if (SHELL.includes(path)) {
+    event.respondWith(networkFirst(request, path));
+  } else if (IMAGE_DIRS.some(dir => path.startsWith(dir))) {
+    event.respondWith(cachedImage(event));
+  }
+});
+
+/* ── Strategies ───────────────────────────────────────────── */
+// The shell: the network when it answers (the page carries the freshly
+// pre-rendered gallery, and its markup needs scripts from the same build),
+// else the precached copy of `path`
+async function networkFirst(request, path) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(scoped(path), res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(scoped(path));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// The cached copy at once when there is one, refreshed in the background for
+// next time. onUpdate(previous, fresh) is called with clones of both once a
+// fresh copy replaces a cached one.
+async function staleWhileRevalidate(event, cacheName, onUpdate) {
+  const { request } = event;
+  const cache    = await caches.open(cacheName);
+  const cached   = await cache.match(request, { ignoreSearch: true });
+  const previous = cached?.clone();
+
+  const fresh = fetch(request).then(async res => {
+    if (!res.ok) return res;
+    await cache.put(request, res.clone());
+    if (previous && onUpdate) await onUpdate(previous, res.clone());
+    return res;
+  });
+
+  if (!cached) return fresh;
+  event.waitUntil(fresh.catch(() => { /* offline — the cached copy stands */ }));
+  return cached;
+}
+
+async function notifyIfChanged(previous, fresh) {
+  const [was, now] = await Promise.all([previous.text(), fresh.text()]);
+  if (was === now) return;
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage({ type: 'photos-updated' }));
+}
+
+/* ── Image Cache ──────────────────────────────────────────── */
+// Cache-first. cache.keys() lists entries oldest-put first and put() moves an
+// entry to the end, so re-putting on every hit keeps keys() in LRU order.
+async function cachedImage(event) {
+  const key    = event.request.url.split('?')[0];
+  const cache  = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(key);
+  if (cached) {
+    event.waitUntil(cache.put(key, cached.clone()));
+    return cached;
+  }
+
+  const res = await fetch(event.request);
+  if (res.ok && res.type === 'basic') event.waitUntil(storeImage(cache, key, res.clone()));
+  return res;
+}
+
+async function storeImage(cache, key, res) {
+  const body    = await res.blob();
+  const headers = new Headers(res.headers);
+  headers.set(SIZE_HEADER, String(body.size));
+  await cache.put(key, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+  await trimImages(cache);
+}
+
+// Drops least recently used images until the rest fit IMAGE_CACHE_BYTES
+async function trimImages(cache) {
+  const keys  = await cache.keys();
+  const sizes = await Promise.all(keys.map(async key =>
+    Number((await cache.match(key))?.headers.get(SIZE_HEADER)) || 0));
+  let total = sizes.reduce((sum, n) => sum + n, 0);
+  for (let i = 0; total > IMAGE_CACHE_BYTES && i < keys.length - 1; i++) {
+    await cache.delete(keys[i]);
+    total -= sizes[i];
+  }
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import '../js/geo.js';
+
+const { createGazetteer, roundCoord, fold } = globalThis.LehtoreGeo;
+
+const gazetteer = createGazetteer({
+  countries: { 'United States': ['USA', 'U.S.A.'], Switzerland: [] },
+  aliases:   { NYC: 'New York' },
+  places: [
+    ['New York',   'United States', 40.7128, -74.006],
+    ['Zürich',     'Switzerland',   47.3769,   8.5417],
+    ['Portland',   'United States', 45.5152, -122.6784],
+    ['Portland',   'United States', 43.6591,  -70.2568],
+    ['Springfield', 'United States', 39.7817, -89.6501],
+    ['Springfield', 'Switzerland',  47.0,      8.0],
+  ],
+});
+
+test('finds a place and rounds it to city level', () => {
+  assert.deepEqual(gazetteer.lookup('New York, USA'),
+    { name: 'New York', country: 'United States', lat: 40.71, lon: -74.01 });
+});
+
+test('ignores case, accents, punctuation and spacing', () => {
+  assert.equal(gazetteer.lookup('  zurich ')?.name, 'Zürich');
+  assert.equal(gazetteer.lookup('New  York, u.s.a.')?.name, 'New York');
+});
+
+test('follows aliases', () => {
+  assert.equal(gazetteer.lookup('NYC')?.name, 'New York');
+});
+
+test('uses the most specific part it knows', () => {
+  assert.equal(gazetteer.lookup('Central Park, New York, USA')?.name, 'New York');
+});
+
+test('a trailing country narrows ambiguous names; without one they match nothing', () => {
+  assert.equal(gazetteer.lookup('Springfield'), null);
+  assert.equal(gazetteer.lookup('Springfield, Switzerland')?.country, 'Switzerland');
+  assert.equal(gazetteer.lookup('Portland, USA'), null);
+});
+
+test('unknown or empty locations match nothing', () => {
+  assert.equal(gazetteer.lookup('Atlantis'), null);
+  assert.equal(gazetteer.lookup(''), null);
+  assert.equal(gazetteer.lookup(undefined), null);
+});
+
+test('the bundled gazetteer places the sample photo', () => {
+  const bundled = createGazetteer(JSON.parse(readFileSync(new URL('../data/gazetteer.json', import.meta.url), 'utf8')));
+  assert.deepEqual(bundled.lookup('Chicago, USA'), { name: 'Chicago', country: 'United States', lat: 41.88, lon: -87.63 });
+});
+
+test('roundCoord keeps two decimals', () => {
+  assert.equal(roundCoord(41.8781), 41.88);
+  assert.equal(roundCoord(-87.6298), -87.63);
+});
+
+test('fold keeps one character per character', () => {
+  assert.equal(fold('Café Zürich'), 'cafe zurich');
+  assert.equal(fold('U.S.A.'), 'u.s.a.');
+});
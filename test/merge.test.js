@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../js/merge.js';
+
+const { threeWayMerge, applyResolutions, sameValue } = globalThis.LehtoreMerge;
+
+const photo = (id, fields = {}) => ({ id, title: '', tags: [], ...fields });
+
+test('takes each side\'s edits to different fields', () => {
+  const base   = [photo('a')];
+  const mine   = [photo('a', { title: 'Mine' })];
+  const theirs = [photo('a', { tags: ['sea'] })];
+  const merged = threeWayMerge(base, mine, theirs, 'id');
+  assert.deepEqual(merged.conflicts, []);
+  assert.deepEqual(applyResolutions(merged, []), [photo('a', { title: 'Mine', tags: ['sea'] })]);
+});
+
+test('reports a field edited on both sides and applies the choice', () => {
+  const merged = threeWayMerge([photo('a')], [photo('a', { title: 'Mine' })], [photo('a', { title: 'Theirs' })], 'id');
+  assert.deepEqual(merged.conflicts, [{ id: 'a', field: 'title', base: '', mine: 'Mine', theirs: 'Theirs' }]);
+  assert.equal(applyResolutions(merged, ['mine'])[0].title, 'Mine');
+  assert.equal(applyResolutions(threeWayMerge([photo('a')], [photo('a', { title: 'Mine' })],
+    [photo('a', { title: 'Theirs' })], 'id'), ['theirs'])[0].title, 'Theirs');
+});
+
+test('agrees silently when both sides made the same edit', () => {
+  const merged = threeWayMerge([photo('a')], [photo('a', { title: 'Same' })], [photo('a', { title: 'Same' })], 'id');
+  assert.deepEqual(merged.conflicts, []);
+});
+
+test('keeps the later `updated` stamp instead of asking', () => {
+  const merged = threeWayMerge([photo('a')],
+    [photo('a', { updated: '2026-10-02T00:00:00Z' })],
+    [photo('a', { updated: '2026-10-01T00:00:00Z' })], 'id');
+  assert.deepEqual(merged.conflicts, []);
+  assert.equal(applyResolutions(merged, [])[0].updated, '2026-10-02T00:00:00Z');
+});
+
+test('deletes a record the other side left alone', () => {
+  const merged = threeWayMerge([photo('a'), photo('b')], [photo('a')], [photo('a'), photo('b')], 'id');
+  assert.deepEqual(applyResolutions(merged, []).map(p => p.id), ['a']);
+});
+
+test('reports a deletion against an edit', () => {
+  const merged = threeWayMerge([photo('a'), photo('b')], [photo('a')],
+    [photo('a'), photo('b', { title: 'Edited' })], 'id');
+  assert.equal(merged.conflicts.length, 1);
+  assert.equal(merged.conflicts[0].field, '(deleted)');
+  assert.deepEqual(applyResolutions(merged, ['mine']).map(p => p.id), ['a']);
+  assert.deepEqual(applyResolutions(threeWayMerge([photo('a'), photo('b')], [photo('a')],
+    [photo('a'), photo('b', { title: 'Edited' })], 'id'), ['theirs']).map(p => p.id), ['a', 'b']);
+});
+
+test('reports a key added on both sides with different values', () => {
+  const album  = (title) => ({ slug: 'trip', title, photos: [] });
+  const merged = threeWayMerge([], [album('Mine')], [album('Theirs')], 'slug');
+  assert.equal(merged.conflicts.length, 1);
+  assert.equal(merged.conflicts[0].field, '(added)');
+  assert.deepEqual(applyResolutions(merged, ['theirs']), [album('Theirs')]);
+  assert.deepEqual(threeWayMerge([], [album('Same')], [album('Same')], 'slug').conflicts, []);
+});
+
+test('orders records like mine, then additions only theirs has', () => {
+  const merged = threeWayMerge([photo('a'), photo('b')], [photo('b'), photo('a')],
+    [photo('a'), photo('b'), photo('c')], 'id');
+  assert.deepEqual(applyResolutions(merged, []).map(p => p.id), ['b', 'a', 'c']);
+});
+
+test('sameValue ignores key order', () => {
+  assert.ok(sameValue({ a: 1, b: [{ x: 1, y: 2 }] }, { b: [{ y: 2, x: 1 }], a: 1 }));
+  assert.ok(!sameValue([1, 2], [2, 1]));
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import exifr from 'exifr';
+import sharp from 'sharp';
+import { stripGps } from '../scripts/lib/strip-gps.js';
+
+// A JPEG header with an Exif segment: IFD0 holds Make and the GPS pointer,
+// the GPS IFD 60° 10' N, 24° 56' E. There is no image data.
+const TIFF_AT = 12;   // SOI, APP1 marker and length, "Exif\0\0"
+
+function exifJpeg(littleEndian) {
+  const tiff  = Buffer.alloc(160);
+  const u16   = (at, v) => littleEndian ? tiff.writeUInt16LE(v, at) : tiff.writeUInt16BE(v, at);
+  const u32   = (at, v) => littleEndian ? tiff.writeUInt32LE(v, at) : tiff.writeUInt32BE(v, at);
+  const entry = (at, tag, type, count, value) => {
+    u16(at, tag); u16(at + 2, type); u32(at + 4, count);
+    if (typeof value === 'string') tiff.write(value, at + 8, 'latin1');
+    else u32(at + 8, value);
+  };
+
+  tiff.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+  u16(2, 42);
+  u32(4, 8);                                  // IFD0 at 8
+  u16(8, 2);
+  entry(10, 0x010F, 2, 5, 92);                // Make
+  entry(22, 0x8825, 4, 1, 38);                // GPS IFD
+  u16(38, 4);                                 // GPS IFD at 38
+  entry(40, 0x0001, 2, 2, 'N');               // GPSLatitudeRef, inline
+  entry(52, 0x0002, 5, 3, 100);               // GPSLatitude
+  entry(64, 0x0003, 2, 2, 'E');               // GPSLongitudeRef, inline
+  entry(76, 0x0004, 5, 3, 124);               // GPSLongitude
+  tiff.write('Test\0', 92, 'latin1');
+  [60, 1, 10, 1, 0, 1, 24, 1, 56, 1, 0, 1].forEach((n, i) => u32(100 + i * 4, n));
+
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const app1    = Buffer.alloc(4);
+  app1.writeUInt16BE(0xFFE1, 0);
+  app1.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app1, payload, Buffer.from([0xFF, 0xD9])]);
+}
+
+for (const littleEndian of [true, false]) {
+  test(`removes the GPS IFD and its values (${littleEndian ? 'Intel' : 'Motorola'} byte order)`, async () => {
+    const buf = exifJpeg(littleEndian);
+    assert.equal((await exifr.gps(buf))?.latitude, 60 + 10 / 60);
+
+    const before = Buffer.from(buf);
+    assert.equal(stripGps(buf), true);
+    assert.equal(buf.length, before.length);
+    assert.equal(await exifr.gps(buf), undefined);
+    assert.equal((await exifr.parse(buf, { ifd0: true }))?.Make, 'Test');
+    const zeroed = (from, to) => buf.subarray(TIFF_AT + from, TIFF_AT + to).every(byte => byte === 0);
+    assert.ok(zeroed(38, 92),   'GPS IFD zeroed');
+    assert.ok(zeroed(100, 148), 'GPS values zeroed');
+
+    assert.equal(stripGps(buf), false, 'nothing left to strip');
+  });
+}
+
+test('leaves the pixels of a real JPEG alone', async () => {
+  const jpeg = await sharp({ create: { width: 32, height: 24, channels: 3, background: '#468' } })
+    .withExif({ IFD0: { Make: 'Test' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '60/1 10/1 0/1' } })
+    .jpeg()
+    .toBuffer();
+  const stripped = Buffer.from(jpeg);
+  assert.equal(stripGps(stripped), true);
+  assert.equal(await exifr.gps(stripped), undefined);
+  assert.ok((await sharp(stripped).raw().toBuffer()).equals(await sharp(jpeg).raw().toBuffer()));
+});
+
+test('ignores files without Exif data', () => {
+  assert.equal(stripGps(Buffer.from([0xFF, 0xD8, 0xFF, 0xD9])), false);
+  assert.equal(stripGps(Buffer.from('not a jpeg')), false);
+});
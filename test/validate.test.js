@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import '../js/validate.js';
+
+const { validatePhotos, validateSiteConfig } = globalThis.LehtoreSchema;
+
+const readJSON = path => JSON.parse(readFileSync(new URL(`../${path}`, import.meta.url), 'utf8'));
+const schema       = readJSON('schemas/photos.schema.json');
+const configSchema = readJSON('schemas/site-config.schema.json');
+
+const photo = (id, fields = {}) => ({ id, src: `photos/public/${id}.jpg`, ...fields });
+
+test('the repository\'s own data is valid', () => {
+  assert.deepEqual(validatePhotos(readJSON('photos.json'), schema), []);
+  assert.deepEqual(validateSiteConfig(readJSON('site-config.json'), configSchema), []);
+});
+
+test('reports schema violations by path', () => {
+  const errors = validatePhotos({ photos: [photo('a', { width: 0, published: 'yesterday' }), { src: 'x.jpg' }] }, schema);
+  assert.ok(errors.some(e => e.startsWith('photos[0].width:')), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('photos[0].published:')), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('photos[1]')), errors.join('\n'));
+});
+
+test('accepts a photo without width and height', () => {
+  assert.deepEqual(validatePhotos({ photos: [photo('a')] }, schema), []);
+});
+
+test('rejects duplicate ids and albums pointing at unknown photos', () => {
+  const errors = validatePhotos({
+    photos: [photo('a'), photo('a')],
+    albums: [{ slug: 'trip', title: 'Trip', photos: ['a', 'b'], cover: 'c' }],
+  }, schema);
+  assert.deepEqual(errors, [
+    'photos[1].id: duplicate id "a"',
+    'albums[0].photos[1]: unknown photo "b"',
+    'albums[0].cover: unknown photo "c"',
+  ]);
+});
+
+test('missing generated files are errors, missing originals only warnings', () => {
+  const warnings = [];
+  const errors   = validatePhotos({
+    photos: [photo('a', { original: 'photos/uploads/a.jpg', thumb: 'photos/thumbs/a.jpg' })],
+  }, schema, { exists: path => path === 'photos/public/a.jpg', warnings });
+  assert.deepEqual(errors, ['photos[0].thumb: file not found (photos/thumbs/a.jpg)']);
+  assert.deepEqual(warnings, ['photos[0].original: file not found (photos/uploads/a.jpg)']);
+});
+
+test('external URLs are not looked for on disk', () => {
+  const errors = validatePhotos({ photos: [photo('a', { src: 'https://example.com/a.jpg' })] }, schema,
+    { exists: () => false });
+  assert.deepEqual(errors, []);
+});